@@ -0,0 +1,83 @@
+// Express app for the Gemini proxy
+import express from 'express';
+import cors from 'cors';
+import { createApiRouter } from './routes.js';
+import { createImageStubRouter } from './imageStub.js';
+import { HttpError, ModelError } from './errors.js';
+
+/**
+ * Builds the app around a model client, a token verifier and a usage limiter,
+ * so it can run against Gemini or a local mock (createMockClient) without any
+ * other changes. `imageStub` serves placeholder images at /api/stub-images.
+ */
+export const createApp = ({ modelClient, tokenVerifier, usageLimiter, allowedModels = [], allowedOrigins = [], retries = 3, imageStub = false }) => {
+  const app = express();
+  app.disable('x-powered-by');
+
+  // Only our frontend may call the API from a browser; requests without an Origin (curl, health checks) pass
+  app.use(cors({
+    origin: (origin, callback) => {
+      if (!origin || allowedOrigins.includes(origin)) {
+        callback(null, true);
+      } else {
+        callback(new HttpError(403, `Origin ${origin} is not allowed`));
+      }
+    },
+  }));
+
+  // Attachments are sent inline as base64, so allow reasonably large bodies
+  app.use(express.json({ limit: '25mb' }));
+
+  // Placeholder images for VITE_IMAGE_PROVIDER=stub (local development only)
+  if (imageStub) {
+    app.use('/api/stub-images', createImageStubRouter());
+  }
+
+  app.use('/api', createApiRouter({ modelClient, tokenVerifier, usageLimiter, allowedModels, retries }));
+
+  app.use((req, res) => {
+    res.status(404).json({ error: { message: `Not found: ${req.method} ${req.path}` } });
+  });
+
+  // Errors become { error: { message } } with a matching status code (Express needs all four parameters)
+  app.use((error, req, res, _next) => {
+    let status = 500;
+    let message = 'Internal server error';
+    let code;
+
+    if (error instanceof HttpError) {
+      status = error.status;
+      message = error.message;
+      code = error.code;
+    } else if (error instanceof ModelError) {
+      // Provider rate limits pass through; other provider failures are a bad gateway
+      status = error.status === 429 ? 429 : 502;
+      message = error.message;
+    } else if (error.type === 'entity.too.large') {
+      status = 413;
+      message = 'Request body is too large';
+    } else if (error.type === 'entity.parse.failed') {
+      status = 400;
+      message = 'Request body is not valid JSON';
+    } else if (error.name === 'AbortError') {
+      // The client went away; there is nobody left to answer
+      return;
+    } else {
+      console.error('Unhandled error:', error);
+    }
+
+    if (res.headersSent) {
+      res.end();
+      return;
+    }
+    res.status(status).json({
+      error: {
+        message,
+        ...(code ? { code } : {}),
+        ...(error.details ? { details: error.details } : {}),
+      },
+    });
+  });
+
+  return app;
+};
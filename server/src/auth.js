@@ -0,0 +1,64 @@
+// Firebase ID token verification for the API routes
+import { initializeApp, getApps } from 'firebase-admin/app';
+import { getAuth } from 'firebase-admin/auth';
+import { HttpError } from './errors.js';
+
+/**
+ * Creates a verifier: verify(idToken) resolves with { uid, email } or throws.
+ * "firebase" checks tokens against the project's public keys (no service account needed);
+ * "disabled" accepts every request as a fixed local user and only works with the mock model.
+ */
+export const createTokenVerifier = (config) => {
+  if (config.authMode === 'disabled') {
+    if (config.modelClient !== 'mock') {
+      throw new Error('AUTH_MODE=disabled is only allowed together with MODEL_CLIENT=mock');
+    }
+    console.warn('Authentication is disabled: every request runs as "local-user"');
+    return {
+      async verify() {
+        return { uid: 'local-user', email: null };
+      },
+    };
+  }
+
+  if (config.authMode !== 'firebase') {
+    throw new Error(`Unknown AUTH_MODE "${config.authMode}" (use "firebase" or "disabled")`);
+  }
+  if (!config.firebaseProjectId) {
+    throw new Error('FIREBASE_PROJECT_ID is not set');
+  }
+
+  const app = getApps()[0] || initializeApp({ projectId: config.firebaseProjectId });
+  const auth = getAuth(app);
+
+  return {
+    async verify(idToken) {
+      const decoded = await auth.verifyIdToken(idToken);
+      return { uid: decoded.uid, email: decoded.email || null };
+    },
+  };
+};
+
+/**
+ * Express middleware that requires `Authorization: Bearer <Firebase ID token>`
+ * and puts the verified user on req.user. Failures are 401s with a code the
+ * client uses to ask the user to sign in again.
+ */
+export const requireAuth = (verifier) => async (req, res, next) => {
+  const match = /^Bearer\s+(.+)$/i.exec(req.get('Authorization') || '');
+  if (!match) {
+    throw new HttpError(401, 'Sign in to use the chat API', { code: 'auth/missing-token' });
+  }
+
+  try {
+    req.user = await verifier.verify(match[1]);
+  } catch (error) {
+    const expired = error.code === 'auth/id-token-expired';
+    throw new HttpError(
+      401,
+      expired ? 'Your session has expired. Please sign in again.' : 'Invalid authentication token',
+      { code: expired ? 'auth/expired-token' : 'auth/invalid-token' }
+    );
+  }
+  next();
+};
@@ -0,0 +1,27 @@
+// Server configuration from environment variables (see .env.example)
+import 'dotenv/config';
+
+const splitList = (value) => (value || '')
+  .split(',')
+  .map(item => item.trim().replace(/\/+$/, ''))
+  .filter(Boolean);
+
+// Unset means the default; 0 turns the limit off
+const toLimit = (value, fallback) => (value === undefined || value === '' ? fallback : Number(value));
+
+export const loadConfig = (env = process.env) => ({
+  port: Number(env.PORT) || 3001,
+  allowedOrigins: splitList(env.ALLOWED_ORIGIN || 'http://localhost:5174,http://localhost:5173'),
+  geminiApiKey: env.GEMINI_API_KEY || '',
+  model: env.GEMINI_MODEL || 'gemini-2.5-flash',
+  // Models a chat may switch to; GEMINI_MODEL is always allowed
+  allowedModels: splitList(env.ALLOWED_MODELS || 'gemini-2.5-flash,gemini-2.5-flash-lite,gemini-2.5-pro'),
+  modelClient: env.MODEL_CLIENT || 'gemini',
+  authMode: env.AUTH_MODE || 'firebase',
+  firebaseProjectId: env.FIREBASE_PROJECT_ID || '',
+  rateLimitPerMinute: toLimit(env.RATE_LIMIT_PER_MINUTE, 10),
+  dailyMessageLimit: toLimit(env.DAILY_MESSAGE_LIMIT, 100),
+  dailyTokenLimit: toLimit(env.DAILY_TOKEN_LIMIT, 200000),
+  // Placeholder image endpoint; on by default with the mock model client
+  imageStub: (env.IMAGE_STUB || (env.MODEL_CLIENT === 'mock' ? 'true' : 'false')) === 'true',
+});
@@ -0,0 +1,31 @@
+// Error types shared by the routes and model clients
+
+/**
+ * An error that maps directly to an HTTP response. `code` is a stable,
+ * machine-readable reason the client can branch on (e.g. "auth/expired-token").
+ */
+export class HttpError extends Error {
+  constructor(status, message, { code, details } = {}) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+/**
+ * A failed call to the model provider. `status` is the provider's HTTP status
+ * (0 for network failures) and decides whether the call is retried.
+ */
+export class ModelError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'ModelError';
+    this.status = status;
+  }
+
+  get retryable() {
+    return this.status === 0 || this.status === 429 || this.status >= 500;
+  }
+}
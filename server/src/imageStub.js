@@ -0,0 +1,48 @@
+// Placeholder images for the "stub" image provider, so image generation works offline
+import { Router } from 'express';
+
+const MAX_SIDE = 2048;
+
+const escapeXml = (text) => text.replace(/[<>&'"]/g, char => ({
+  '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&apos;', '"': '&quot;',
+})[char]);
+
+const toSide = (value, fallback) => {
+  const side = Math.round(Number(value));
+  return Number.isFinite(side) && side > 0 ? Math.min(side, MAX_SIDE) : fallback;
+};
+
+/**
+ * Renders a gradient SVG showing the prompt. The same seed always gives the
+ * same colors, so regenerated variants are visibly different but reproducible.
+ */
+export const renderStubImage = ({ prompt = '', width, height, seed = 0 }) => {
+  const w = toSide(width, 1024);
+  const h = toSide(height, 1024);
+  const hue = Math.abs(Math.round(Number(seed)) || 0) % 360;
+  const label = escapeXml(String(prompt).slice(0, 80) || 'Generated image');
+  const fontSize = Math.max(12, Math.round(Math.min(w, h) / 24));
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${w}" height="${h}" viewBox="0 0 ${w} ${h}">
+  <defs>
+    <linearGradient id="bg" x1="0" y1="0" x2="1" y2="1">
+      <stop offset="0" stop-color="hsl(${hue}, 70%, 60%)"/>
+      <stop offset="1" stop-color="hsl(${(hue + 60) % 360}, 70%, 40%)"/>
+    </linearGradient>
+  </defs>
+  <rect width="100%" height="100%" fill="url(#bg)"/>
+  <text x="50%" y="50%" text-anchor="middle" dominant-baseline="middle" fill="white" font-family="sans-serif" font-size="${fontSize}">${label}</text>
+  <text x="50%" y="${h - fontSize}" text-anchor="middle" fill="white" fill-opacity="0.7" font-family="monospace" font-size="${Math.round(fontSize * 0.6)}">stub · seed ${escapeXml(String(seed))} · ${w}×${h}</text>
+</svg>`;
+};
+
+// GET /?prompt&width&height&seed — public, since <img> tags cannot send a bearer token
+export const createImageStubRouter = () => {
+  const router = Router();
+  router.get('/', (req, res) => {
+    res.type('image/svg+xml');
+    res.set('Cache-Control', 'public, max-age=86400');
+    res.send(renderStubImage(req.query));
+  });
+  return router;
+};
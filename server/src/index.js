@@ -0,0 +1,30 @@
+// Entry point: node src/index.js (or npm run dev)
+import { loadConfig } from './config.js';
+import { createApp } from './app.js';
+import { createModelClient } from './modelClients/index.js';
+import { createTokenVerifier } from './auth.js';
+import { createUsageLimiter } from './quota.js';
+
+const config = loadConfig();
+const modelClient = createModelClient(config);
+const tokenVerifier = createTokenVerifier(config);
+const usageLimiter = createUsageLimiter({
+  perMinute: config.rateLimitPerMinute,
+  dailyMessages: config.dailyMessageLimit,
+  dailyTokens: config.dailyTokenLimit,
+});
+const app = createApp({
+  modelClient,
+  tokenVerifier,
+  usageLimiter,
+  allowedModels: config.allowedModels,
+  allowedOrigins: config.allowedOrigins,
+  imageStub: config.imageStub,
+});
+
+app.listen(config.port, () => {
+  console.log(`API listening on http://localhost:${config.port}/api`);
+  console.log(`Model client: ${modelClient.name} (${modelClient.model})`);
+  if (config.imageStub) console.log(`Stub images: http://localhost:${config.port}/api/stub-images`);
+  console.log(`Allowed origins: ${config.allowedOrigins.join(', ') || '(none)'}`);
+});
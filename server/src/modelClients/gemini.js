@@ -0,0 +1,75 @@
+// Model client backed by the Gemini REST API
+import { ModelError } from '../errors.js';
+
+const DEFAULT_BASE_URL = 'https://generativelanguage.googleapis.com/v1beta';
+
+const readErrorMessage = async (response) => {
+  try {
+    const body = await response.json();
+    return body.error?.message || response.statusText;
+  } catch {
+    return response.statusText;
+  }
+};
+
+/**
+ * Creates a client with generateContent(payload) and streamGenerateContent(payload),
+ * the two calls the routes need. Every model client exposes the same shape so the
+ * app can be pointed at a local mock instead (see ./mock.js). Both calls take
+ * { signal, model }; `model` overrides the default model for that call.
+ */
+export const createGeminiClient = ({ apiKey, model, baseUrl = DEFAULT_BASE_URL }) => {
+  if (!apiKey) {
+    throw new Error('GEMINI_API_KEY is not set');
+  }
+
+  const post = async (method, payload, { signal, query = '', model: requestModel } = {}) => {
+    let response;
+    try {
+      response = await fetch(`${baseUrl}/models/${requestModel || model}:${method}?${query}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'x-goog-api-key': apiKey },
+        body: JSON.stringify(payload),
+        signal,
+      });
+    } catch (error) {
+      if (error.name === 'AbortError') throw error;
+      throw new ModelError(0, `Could not reach Gemini: ${error.message}`);
+    }
+    if (!response.ok) {
+      throw new ModelError(response.status, await readErrorMessage(response));
+    }
+    return response;
+  };
+
+  return {
+    name: 'gemini',
+    model,
+
+    async generateContent(payload, { signal, model: requestModel } = {}) {
+      const response = await post('generateContent', payload, { signal, model: requestModel });
+      return response.json();
+    },
+
+    // Yields each response chunk Gemini sends over server-sent events
+    async *streamGenerateContent(payload, { signal, model: requestModel } = {}) {
+      const response = await post('streamGenerateContent', payload, { signal, query: 'alt=sse', model: requestModel });
+      const decoder = new TextDecoder();
+      let buffer = '';
+
+      for await (const value of response.body) {
+        buffer += decoder.decode(value, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        for (const line of lines) {
+          const data = line.startsWith('data:') ? line.slice(5).trim() : '';
+          if (data) yield JSON.parse(data);
+        }
+      }
+      const rest = buffer.trim();
+      if (rest.startsWith('data:')) {
+        yield JSON.parse(rest.slice(5).trim());
+      }
+    },
+  };
+};
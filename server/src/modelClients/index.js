@@ -0,0 +1,14 @@
+// Picks the model client from configuration
+import { createGeminiClient } from './gemini.js';
+import { createMockClient } from './mock.js';
+
+export const createModelClient = (config) => {
+  switch (config.modelClient) {
+    case 'mock':
+      return createMockClient();
+    case 'gemini':
+      return createGeminiClient({ apiKey: config.geminiApiKey, model: config.model });
+    default:
+      throw new Error(`Unknown MODEL_CLIENT "${config.modelClient}" (use "gemini" or "mock")`);
+  }
+};
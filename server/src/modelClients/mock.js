@@ -0,0 +1,60 @@
+// Local stand-in for Gemini: answers instantly without an API key or network access
+
+const toResponse = (parts) => ({
+  candidates: [{
+    content: { role: 'model', parts: typeof parts === 'string' ? [{ text: parts }] : parts },
+    finishReason: 'STOP',
+  }],
+});
+
+// Echo the last user turn so requests can be checked end to end
+const defaultReply = (payload) => {
+  const lastTurn = payload.contents[payload.contents.length - 1];
+  const toolResults = lastTurn.parts.filter(part => part.functionResponse);
+  if (toolResults.length > 0) {
+    return `Mock reply after calling ${toolResults.map(part => part.functionResponse.name).join(', ')}.`;
+  }
+  const text = lastTurn.parts.filter(part => part.text).map(part => part.text).join(' ');
+  const files = lastTurn.parts.filter(part => part.inline_data).length;
+  return `Mock reply to: ${text || '(no text)'}${files ? ` [${files} attachment(s)]` : ''}`;
+};
+
+// Mimic function calling: asking to "draw" something calls generate_image when it is declared
+const defaultToolCall = (payload) => {
+  const declared = (payload.tools || []).flatMap(tool => tool.functionDeclarations);
+  if (!declared.some(declaration => declaration.name === 'generate_image')) return null;
+
+  const lastTurn = payload.contents[payload.contents.length - 1];
+  const text = lastTurn.parts.filter(part => part.text).map(part => part.text).join(' ');
+  const match = /\b(?:draw|paint|generate an image of|create an image of)\s+(.+)/i.exec(text);
+  return match ? { name: 'generate_image', args: { prompt: match[1] } } : null;
+};
+
+/**
+ * Creates a model client with the same shape as the Gemini one.
+ * `reply(payload)` decides the answer text; streaming splits it into words.
+ * `toolCall(payload)` may return a { name, args } function call to answer with instead.
+ */
+export const createMockClient = ({ reply = defaultReply, toolCall = defaultToolCall, model = 'mock-model' } = {}) => ({
+  name: 'mock',
+  model,
+
+  async generateContent(payload) {
+    const call = await toolCall(payload);
+    if (call) return toResponse([{ functionCall: call }]);
+    return toResponse(await reply(payload));
+  },
+
+  async *streamGenerateContent(payload, { signal } = {}) {
+    const call = await toolCall(payload);
+    if (call) {
+      yield toResponse([{ functionCall: call }]);
+      return;
+    }
+    const text = await reply(payload);
+    for (const word of text.match(/\S+\s*/g) || []) {
+      if (signal?.aborted) return;
+      yield toResponse(word);
+    }
+  },
+});
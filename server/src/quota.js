@@ -0,0 +1,132 @@
+// Per-user rate limits and daily quotas for the model routes
+import { HttpError } from './errors.js';
+
+const MINUTE = 60 * 1000;
+
+// Daily quotas reset at midnight UTC
+const startOfNextUtcDay = (time) => {
+  const date = new Date(time);
+  date.setUTCHours(24, 0, 0, 0);
+  return date.getTime();
+};
+
+const countChars = (contents = []) => contents.reduce((sum, content) => sum + (content.parts || [])
+  .reduce((partSum, part) => partSum + (part.text?.length || 0), 0), 0);
+
+/**
+ * Tokens used by one model call. Gemini reports usageMetadata; otherwise
+ * (mock client, aborted streams) estimate about 4 characters per token.
+ */
+export const countTokens = ({ payload, usageMetadata, replyText = '' }) => {
+  if (usageMetadata?.totalTokenCount) return usageMetadata.totalTokenCount;
+  const chars = countChars(payload.contents) + countChars(payload.systemInstruction ? [payload.systemInstruction] : []);
+  return Math.ceil((chars + replyText.length) / 4);
+};
+
+/**
+ * Creates an in-memory limiter keyed by uid: at most `perMinute` requests in
+ * any 60s window, plus `dailyMessages` requests and `dailyTokens` tokens per
+ * UTC day. A limit of 0 turns that check off. State lives in this process only,
+ * so every server instance counts separately.
+ */
+export const createUsageLimiter = ({ perMinute = 10, dailyMessages = 100, dailyTokens = 200000, now = Date.now } = {}) => {
+  const users = new Map();
+  let lastSweep = now();
+
+  // An entry can go once its day is over and it has no requests in the last minute
+  const isExpired = (entry, time) => time >= entry.dayResetAt && !entry.recent.some(timestamp => timestamp > time - MINUTE);
+
+  // Forget users whose windows have all expired, at most once a minute
+  const sweep = (time) => {
+    if (time - lastSweep < MINUTE) return;
+    lastSweep = time;
+    for (const [uid, entry] of users) {
+      if (isExpired(entry, time)) users.delete(uid);
+    }
+  };
+
+  const getEntry = (uid) => {
+    const time = now();
+    sweep(time);
+    let entry = users.get(uid);
+    if (!entry || time >= entry.dayResetAt) {
+      entry = { recent: entry?.recent || [], messages: 0, tokens: 0, dayResetAt: startOfNextUtcDay(time) };
+      users.set(uid, entry);
+    }
+    entry.recent = entry.recent.filter(timestamp => timestamp > time - MINUTE);
+    return entry;
+  };
+
+  const describe = (limit, used) => ({
+    limit: limit || null,
+    used,
+    remaining: limit ? Math.max(limit - used, 0) : null,
+  });
+
+  const snapshot = (entry) => ({
+    rate: {
+      ...describe(perMinute, entry.recent.length),
+      resetAt: new Date(entry.recent.length ? entry.recent[0] + MINUTE : now()).toISOString(),
+    },
+    messages: describe(dailyMessages, entry.messages),
+    tokens: describe(dailyTokens, entry.tokens),
+    resetAt: new Date(entry.dayResetAt).toISOString(),
+  });
+
+  const refuse = (code, message, limit, resetAt) => new HttpError(429, message, {
+    code,
+    details: {
+      limit,
+      resetAt: new Date(resetAt).toISOString(),
+      retryAfter: Math.max(Math.ceil((resetAt - now()) / 1000), 1),
+    },
+  });
+
+  return {
+    usage(uid) {
+      return snapshot(getEntry(uid));
+    },
+
+    // Counts one request, or throws a 429 HttpError if any limit is used up
+    consume(uid) {
+      const entry = getEntry(uid);
+      if (dailyMessages && entry.messages >= dailyMessages) {
+        throw refuse('quota/daily-messages', `Daily limit of ${dailyMessages} messages reached`, dailyMessages, entry.dayResetAt);
+      }
+      if (dailyTokens && entry.tokens >= dailyTokens) {
+        throw refuse('quota/daily-tokens', `Daily limit of ${dailyTokens} tokens reached`, dailyTokens, entry.dayResetAt);
+      }
+      if (perMinute && entry.recent.length >= perMinute) {
+        throw refuse('quota/rate-limited', `Too many requests: at most ${perMinute} per minute`, perMinute, entry.recent[0] + MINUTE);
+      }
+      entry.recent.push(now());
+      entry.messages += 1;
+      return snapshot(entry);
+    },
+
+    recordTokens(uid, tokens) {
+      getEntry(uid).tokens += tokens;
+    },
+
+    // Number of users currently held in memory
+    trackedUsers() {
+      return users.size;
+    },
+  };
+};
+
+/**
+ * Express middleware (after requireAuth) that charges the request to req.user
+ * and sets Retry-After on 429s so well-behaved clients know when to come back.
+ */
+export const enforceQuota = (limiter) => (req, res, next) => {
+  try {
+    req.usage = limiter.consume(req.user.uid);
+  } catch (error) {
+    if (error.status === 429) {
+      res.set('Retry-After', String(error.details.retryAfter));
+    }
+    throw error;
+  }
+  next();
+};
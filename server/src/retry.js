@@ -0,0 +1,36 @@
+// Exponential backoff for model calls
+
+const wait = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(signal.reason);
+    return;
+  }
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(signal.reason);
+  };
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+/**
+ * Runs fn until it succeeds, retrying errors whose `retryable` flag is set
+ * with delays of baseDelay, 2 * baseDelay, 4 * baseDelay...
+ */
+export const withRetries = async (fn, { retries = 3, baseDelay = 500, signal } = {}) => {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      if (!error.retryable || attempt >= retries - 1 || signal?.aborted) {
+        throw error;
+      }
+      const delay = baseDelay * Math.pow(2, attempt);
+      console.warn(`Model call failed (${error.message}). Retrying in ${delay}ms...`);
+      await wait(delay, signal);
+    }
+  }
+};
@@ -0,0 +1,122 @@
+// API routes: /health (public), /models, /usage, /chat, /chat/stream and /vision (signed-in users only)
+import { Router } from 'express';
+import { validateGenerateRequest, validateModel } from './validation.js';
+import { withRetries } from './retry.js';
+import { requireAuth } from './auth.js';
+import { enforceQuota, countTokens } from './quota.js';
+
+// Abort the model call when the browser goes away
+const abortOnClose = (req, res) => {
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) controller.abort();
+  });
+  return controller.signal;
+};
+
+// Text of the first candidate in a Gemini response (or stream chunk)
+const candidateText = (response) => response.candidates?.[0]?.content?.parts
+  ?.map(part => part.text || '')
+  .join('') || '';
+
+export const createApiRouter = ({ modelClient, tokenVerifier, usageLimiter, allowedModels = [], retries = 3 }) => {
+  const router = Router();
+  // The configured default model is always on offer
+  const models = [...new Set([modelClient.model, ...allowedModels])];
+  const authenticated = requireAuth(tokenVerifier);
+  const metered = enforceQuota(usageLimiter);
+
+  // Checks the body before enforceQuota, so a malformed request is never charged
+  const validated = ({ allowInline }) => (req, res, next) => {
+    req.payload = validateGenerateRequest(req.body, { allowInline });
+    req.model = validateModel(req.body.model, models);
+    next();
+  };
+
+  // Single-shot generation, shared by /chat and /vision
+  const generate = async (req, res) => {
+    const { payload, model } = req;
+    const signal = abortOnClose(req, res);
+    const result = await withRetries(
+      () => modelClient.generateContent(payload, { signal, model }),
+      { retries, signal }
+    );
+    usageLimiter.recordTokens(req.user.uid, countTokens({
+      payload,
+      usageMetadata: result.usageMetadata,
+      replyText: candidateText(result),
+    }));
+    res.json(result);
+  };
+
+  router.get('/health', (req, res) => {
+    res.json({
+      status: 'ok',
+      modelClient: modelClient.name,
+      model: modelClient.model,
+      uptime: Math.round(process.uptime()),
+    });
+  });
+
+  // Models a chat may pick from, for the settings panel
+  router.get('/models', authenticated, (req, res) => {
+    res.json({ default: modelClient.model, models });
+  });
+
+  // Remaining rate limit and daily quota for the signed-in user
+  router.get('/usage', authenticated, (req, res) => {
+    res.json(usageLimiter.usage(req.user.uid));
+  });
+
+  router.post('/chat', authenticated, validated({ allowInline: false }), metered, generate);
+  router.post('/vision', authenticated, validated({ allowInline: true }), metered, generate);
+
+  // Server-sent events: one `data:` line per Gemini chunk, then `data: [DONE]`.
+  // Accepts inline files like /vision, so chats with attachments in their history still stream.
+  router.post('/chat/stream', authenticated, validated({ allowInline: true }), metered, async (req, res) => {
+    const { payload, model } = req;
+    const signal = abortOnClose(req, res);
+
+    // Retry until the first chunk arrives; once text has been sent the stream cannot restart
+    let stream;
+    const first = await withRetries(() => {
+      stream = modelClient.streamGenerateContent(payload, { signal, model });
+      return stream.next();
+    }, { retries, signal });
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no',
+    });
+    const send = (data) => res.write(`data: ${typeof data === 'string' ? data : JSON.stringify(data)}\n\n`);
+
+    // Gemini reports cumulative usage on the chunks; keep the text too in case it does not
+    let usageMetadata;
+    let replyText = '';
+    const forward = (chunk) => {
+      usageMetadata = chunk.usageMetadata || usageMetadata;
+      replyText += candidateText(chunk);
+      send(chunk);
+    };
+
+    try {
+      if (!first.done) forward(first.value);
+      for await (const chunk of stream) {
+        forward(chunk);
+      }
+      send('[DONE]');
+    } catch (error) {
+      if (error.name !== 'AbortError') {
+        console.error('Stream error:', error);
+        send({ error: { message: error.message || 'Stream failed' } });
+      }
+    } finally {
+      usageLimiter.recordTokens(req.user.uid, countTokens({ payload, usageMetadata, replyText }));
+      res.end();
+    }
+  });
+
+  return router;
+};
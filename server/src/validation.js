@@ -0,0 +1,227 @@
+// Request body validation for the generation routes
+import { HttpError } from './errors.js';
+
+const MAX_TURNS = 200;
+const MAX_TEXT_LENGTH = 100_000;
+const ROLES = ['user', 'model'];
+const INLINE_MIME_TYPES = [
+  'image/png', 'image/jpeg', 'image/webp', 'image/gif', 'image/heic', 'image/heif',
+  'application/pdf', 'text/plain', 'text/csv', 'text/markdown',
+];
+const BASE64_PATTERN = /^[A-Za-z0-9+/]+={0,2}$/;
+
+// generationConfig fields the client may set, with their allowed ranges
+const GENERATION_LIMITS = {
+  temperature: { min: 0, max: 2 },
+  topP: { min: 0, max: 1 },
+  topK: { min: 1, max: 500, integer: true },
+  maxOutputTokens: { min: 1, max: 65536, integer: true },
+};
+const SAFETY_CATEGORIES = [
+  'HARM_CATEGORY_HARASSMENT', 'HARM_CATEGORY_HATE_SPEECH',
+  'HARM_CATEGORY_SEXUALLY_EXPLICIT', 'HARM_CATEGORY_DANGEROUS_CONTENT',
+];
+const SAFETY_THRESHOLDS = ['BLOCK_NONE', 'BLOCK_ONLY_HIGH', 'BLOCK_MEDIUM_AND_ABOVE', 'BLOCK_LOW_AND_ABOVE', 'OFF'];
+
+// Function calling: declared tools, and the call/response parts they add to contents
+const FUNCTION_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_.-]{0,63}$/;
+const MAX_TOOLS = 32;
+const MAX_FUNCTION_JSON_LENGTH = 20_000;
+const FUNCTION_CALLING_MODES = ['AUTO', 'ANY', 'NONE'];
+
+const fail = (message) => {
+  throw new HttpError(400, message);
+};
+
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+const validateFunctionName = (name, where) => {
+  if (typeof name !== 'string' || !FUNCTION_NAME_PATTERN.test(name)) fail(`${where} is not a valid function name`);
+  return name;
+};
+
+const validateJsonObject = (value, where) => {
+  if (!isPlainObject(value)) fail(`${where} must be an object`);
+  if (JSON.stringify(value).length > MAX_FUNCTION_JSON_LENGTH) fail(`${where} is too large`);
+  return value;
+};
+
+// Gemini attaches a thoughtSignature to function calls; it has to be sent back unchanged
+const withThoughtSignature = (part, clean) => (
+  typeof part.thoughtSignature === 'string' ? { ...clean, thoughtSignature: part.thoughtSignature } : clean
+);
+
+const validatePart = (part, where, allowInline) => {
+  if (!part || typeof part !== 'object') fail(`${where} must be an object`);
+
+  const functionCall = part.functionCall || part.function_call;
+  if (functionCall) {
+    return withThoughtSignature(part, {
+      functionCall: {
+        name: validateFunctionName(functionCall.name, `${where}.functionCall.name`),
+        args: validateJsonObject(functionCall.args || {}, `${where}.functionCall.args`),
+      },
+    });
+  }
+
+  const functionResponse = part.functionResponse || part.function_response;
+  if (functionResponse) {
+    return {
+      functionResponse: {
+        name: validateFunctionName(functionResponse.name, `${where}.functionResponse.name`),
+        response: validateJsonObject(functionResponse.response, `${where}.functionResponse.response`),
+      },
+    };
+  }
+
+  if (part.text !== undefined) {
+    if (typeof part.text !== 'string') fail(`${where}.text must be a string`);
+    if (part.text.length > MAX_TEXT_LENGTH) fail(`${where}.text is too long`);
+    return { text: part.text };
+  }
+
+  const inline = part.inline_data || part.inlineData;
+  if (inline) {
+    if (!allowInline) fail(`${where} has inline data; send files to /vision`);
+    const mimeType = inline.mime_type || inline.mimeType;
+    if (!INLINE_MIME_TYPES.includes(mimeType)) fail(`${where} has unsupported mime type "${mimeType}"`);
+    if (typeof inline.data !== 'string' || !BASE64_PATTERN.test(inline.data)) {
+      fail(`${where} inline data must be base64`);
+    }
+    return { inline_data: { mime_type: mimeType, data: inline.data } };
+  }
+
+  return fail(`${where} must have text, inline_data, functionCall or functionResponse`);
+};
+
+const validateParts = (parts, where, allowInline) => {
+  if (!Array.isArray(parts) || parts.length === 0) fail(`${where}.parts must be a non-empty array`);
+  return parts.map((part, i) => validatePart(part, `${where}.parts[${i}]`, allowInline));
+};
+
+const validateGenerationConfig = (config) => {
+  if (!config || typeof config !== 'object' || Array.isArray(config)) fail('generationConfig must be an object');
+
+  const clean = {};
+  for (const [key, value] of Object.entries(config)) {
+    const limits = GENERATION_LIMITS[key];
+    if (!limits) fail(`generationConfig.${key} is not supported`);
+    if (value === null) continue;
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < limits.min || value > limits.max) {
+      fail(`generationConfig.${key} must be a number from ${limits.min} to ${limits.max}`);
+    }
+    if (limits.integer && !Number.isInteger(value)) fail(`generationConfig.${key} must be a whole number`);
+    clean[key] = value;
+  }
+  return clean;
+};
+
+const validateSafetySettings = (settings) => {
+  if (!Array.isArray(settings)) fail('safetySettings must be an array');
+
+  return settings.map((setting, i) => {
+    const where = `safetySettings[${i}]`;
+    if (!SAFETY_CATEGORIES.includes(setting?.category)) fail(`${where}.category is not a supported harm category`);
+    if (!SAFETY_THRESHOLDS.includes(setting.threshold)) fail(`${where}.threshold must be one of ${SAFETY_THRESHOLDS.join(', ')}`);
+    return { category: setting.category, threshold: setting.threshold };
+  });
+};
+
+const validateTools = (tools) => {
+  if (!Array.isArray(tools)) fail('tools must be an array');
+
+  const declarations = tools.flatMap((tool, i) => {
+    const where = `tools[${i}]`;
+    if (!isPlainObject(tool) || !Array.isArray(tool.functionDeclarations)) {
+      fail(`${where} must have a functionDeclarations array`);
+    }
+    return tool.functionDeclarations.map((declaration, j) => {
+      const declarationWhere = `${where}.functionDeclarations[${j}]`;
+      if (!isPlainObject(declaration)) fail(`${declarationWhere} must be an object`);
+      const clean = { name: validateFunctionName(declaration.name, `${declarationWhere}.name`) };
+      if (declaration.description !== undefined) {
+        if (typeof declaration.description !== 'string') fail(`${declarationWhere}.description must be a string`);
+        clean.description = declaration.description;
+      }
+      if (declaration.parameters !== undefined) {
+        clean.parameters = validateJsonObject(declaration.parameters, `${declarationWhere}.parameters`);
+      }
+      return clean;
+    });
+  });
+
+  if (declarations.length > MAX_TOOLS) fail(`tools may declare at most ${MAX_TOOLS} functions`);
+  return declarations.length > 0 ? [{ functionDeclarations: declarations }] : [];
+};
+
+const validateToolConfig = (toolConfig) => {
+  const config = toolConfig?.functionCallingConfig;
+  if (!isPlainObject(config) || !FUNCTION_CALLING_MODES.includes(config.mode)) {
+    fail(`toolConfig.functionCallingConfig.mode must be one of ${FUNCTION_CALLING_MODES.join(', ')}`);
+  }
+  const clean = { mode: config.mode };
+  if (config.allowedFunctionNames !== undefined) {
+    if (!Array.isArray(config.allowedFunctionNames)) fail('toolConfig.functionCallingConfig.allowedFunctionNames must be an array');
+    clean.allowedFunctionNames = config.allowedFunctionNames.map((name, i) => (
+      validateFunctionName(name, `toolConfig.functionCallingConfig.allowedFunctionNames[${i}]`)
+    ));
+  }
+  return { functionCallingConfig: clean };
+};
+
+/**
+ * Checks the optional `model` field against the models this server offers.
+ * Returns undefined when the client leaves the choice to the server.
+ */
+export const validateModel = (model, allowedModels) => {
+  if (model === undefined || model === null || model === '') return undefined;
+  if (typeof model !== 'string' || !allowedModels.includes(model)) {
+    fail(`model must be one of ${allowedModels.join(', ')}`);
+  }
+  return model;
+};
+
+/**
+ * Checks a { contents, systemInstruction, generationConfig, safetySettings, tools, toolConfig } body and returns a clean copy with
+ * only the fields we forward. Throws HttpError(400) describing the first problem.
+ */
+export const validateGenerateRequest = (body, { allowInline = false } = {}) => {
+  if (!body || typeof body !== 'object') fail('Request body must be a JSON object');
+
+  const { contents, systemInstruction, generationConfig, safetySettings, tools, toolConfig } = body;
+  if (!Array.isArray(contents) || contents.length === 0) fail('contents must be a non-empty array');
+  if (contents.length > MAX_TURNS) fail(`contents may have at most ${MAX_TURNS} turns`);
+
+  const cleanContents = contents.map((content, i) => {
+    const where = `contents[${i}]`;
+    if (!content || typeof content !== 'object') fail(`${where} must be an object`);
+    const role = content.role || 'user';
+    if (!ROLES.includes(role)) fail(`${where}.role must be "user" or "model"`);
+    return { role, parts: validateParts(content.parts, where, allowInline) };
+  });
+
+  if (cleanContents[cleanContents.length - 1].role !== 'user') {
+    fail('The last turn in contents must come from the user');
+  }
+
+  const payload = { contents: cleanContents };
+  if (systemInstruction !== undefined) {
+    payload.systemInstruction = {
+      parts: validateParts(systemInstruction?.parts, 'systemInstruction', false),
+    };
+  }
+  if (generationConfig !== undefined) {
+    payload.generationConfig = validateGenerationConfig(generationConfig);
+  }
+  if (safetySettings !== undefined) {
+    payload.safetySettings = validateSafetySettings(safetySettings);
+  }
+  if (tools !== undefined) {
+    const cleanTools = validateTools(tools);
+    if (cleanTools.length > 0) payload.tools = cleanTools;
+  }
+  if (toolConfig !== undefined) {
+    payload.toolConfig = validateToolConfig(toolConfig);
+  }
+  return payload;
+};
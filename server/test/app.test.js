@@ -0,0 +1,168 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import { createApp } from '../src/app.js';
+import { createMockClient } from '../src/modelClients/mock.js';
+import { createUsageLimiter } from '../src/quota.js';
+import { ModelError } from '../src/errors.js';
+
+const ORIGIN = 'http://localhost:5173';
+const AUTH = 'Bearer good-token';
+
+// Accepts "good-token" as the user "u1" and rejects everything else
+const tokenVerifier = {
+  async verify(idToken) {
+    if (idToken !== 'good-token') throw new Error('bad token');
+    return { uid: 'u1', email: null };
+  },
+};
+
+const buildApp = (options = {}) => createApp({
+  modelClient: createMockClient(),
+  tokenVerifier,
+  usageLimiter: createUsageLimiter({ perMinute: 0, dailyMessages: 0, dailyTokens: 0 }),
+  allowedOrigins: [ORIGIN],
+  ...options,
+});
+
+const chatBody = (text = 'Hello there') => ({ contents: [{ role: 'user', parts: [{ text }] }] });
+
+const replyText = (response) => response.candidates[0].content.parts.map(part => part.text).join('');
+
+describe('createApp with the mock model client', () => {
+  it('GET /api/health reports the model client', async () => {
+    const response = await request(buildApp()).get('/api/health').expect(200);
+    assert.equal(response.body.status, 'ok');
+    assert.equal(response.body.modelClient, 'mock');
+    assert.equal(response.body.model, 'mock-model');
+  });
+
+  it('POST /api/chat answers with the mock reply', async () => {
+    const response = await request(buildApp())
+      .post('/api/chat')
+      .set('Authorization', AUTH)
+      .send(chatBody())
+      .expect(200);
+    assert.equal(replyText(response.body), 'Mock reply to: Hello there');
+  });
+
+  it('POST /api/chat/stream sends server-sent events ending in [DONE]', async () => {
+    const response = await request(buildApp())
+      .post('/api/chat/stream')
+      .set('Authorization', AUTH)
+      .send(chatBody('one two'))
+      .expect(200)
+      .expect('Content-Type', /text\/event-stream/);
+
+    const events = response.text.split('\n\n').filter(Boolean).map(event => event.replace(/^data: /, ''));
+    assert.equal(events[events.length - 1], '[DONE]');
+    const text = events.slice(0, -1).map(event => replyText(JSON.parse(event))).join('');
+    assert.equal(text, 'Mock reply to: one two');
+  });
+
+  it('POST /api/vision accepts inline attachments', async () => {
+    const response = await request(buildApp())
+      .post('/api/vision')
+      .set('Authorization', AUTH)
+      .send({
+        contents: [{
+          role: 'user',
+          parts: [{ text: 'What is this?' }, { inline_data: { mime_type: 'image/png', data: 'iVBORw0KGgo=' } }],
+        }],
+      })
+      .expect(200);
+    assert.equal(replyText(response.body), 'Mock reply to: What is this? [1 attachment(s)]');
+  });
+
+  it('POST /api/chat/stream accepts inline attachments too', async () => {
+    const response = await request(buildApp())
+      .post('/api/chat/stream')
+      .set('Authorization', AUTH)
+      .send({
+        contents: [
+          { role: 'user', parts: [{ text: 'What is this?' }, { inline_data: { mime_type: 'image/png', data: 'iVBORw0KGgo=' } }] },
+          { role: 'model', parts: [{ text: 'A car.' }] },
+          { role: 'user', parts: [{ text: 'What colour?' }] },
+        ],
+      })
+      .expect(200)
+      .expect('Content-Type', /text\/event-stream/);
+    assert.match(response.text, /data: \[DONE\]/);
+  });
+
+  it('rejects malformed requests with 400', async () => {
+    const app = buildApp();
+    const empty = await request(app).post('/api/chat').set('Authorization', AUTH).send({ contents: [] }).expect(400);
+    assert.match(empty.body.error.message, /contents must be a non-empty array/);
+
+    const inline = await request(app)
+      .post('/api/chat')
+      .set('Authorization', AUTH)
+      .send({ contents: [{ role: 'user', parts: [{ inline_data: { mime_type: 'image/png', data: 'iVBORw0KGgo=' } }] }] })
+      .expect(400);
+    assert.match(inline.body.error.message, /send files to \/vision/);
+
+    const invalidJson = await request(app)
+      .post('/api/chat')
+      .set('Authorization', AUTH)
+      .set('Content-Type', 'application/json')
+      .send('{"contents": [')
+      .expect(400);
+    assert.equal(invalidJson.body.error.message, 'Request body is not valid JSON');
+  });
+
+  it('requires a valid token', async () => {
+    const app = buildApp();
+    const missing = await request(app).post('/api/chat').send(chatBody()).expect(401);
+    assert.equal(missing.body.error.code, 'auth/missing-token');
+    const invalid = await request(app).post('/api/chat').set('Authorization', 'Bearer nope').send(chatBody()).expect(401);
+    assert.equal(invalid.body.error.code, 'auth/invalid-token');
+  });
+
+  it('allows the configured origin and rejects foreign ones', async () => {
+    const app = buildApp();
+    const allowed = await request(app).get('/api/health').set('Origin', ORIGIN).expect(200);
+    assert.equal(allowed.headers['access-control-allow-origin'], ORIGIN);
+
+    const foreign = await request(app).get('/api/health').set('Origin', 'https://evil.example').expect(403);
+    assert.equal(foreign.body.error.message, 'Origin https://evil.example is not allowed');
+    assert.equal(foreign.headers['access-control-allow-origin'], undefined);
+  });
+
+  it('retries model calls that fail with a 5xx', async () => {
+    let calls = 0;
+    const modelClient = {
+      ...createMockClient(),
+      async generateContent(payload) {
+        calls += 1;
+        if (calls === 1) throw new ModelError(503, 'Model overloaded');
+        return createMockClient().generateContent(payload);
+      },
+    };
+    const response = await request(buildApp({ modelClient }))
+      .post('/api/chat')
+      .set('Authorization', AUTH)
+      .send(chatBody())
+      .expect(200);
+    assert.equal(calls, 2);
+    assert.equal(replyText(response.body), 'Mock reply to: Hello there');
+  });
+
+  it('gives up after the last retry with a 502', async () => {
+    let calls = 0;
+    const modelClient = {
+      ...createMockClient(),
+      async generateContent() {
+        calls += 1;
+        throw new ModelError(500, 'Model failed');
+      },
+    };
+    const response = await request(buildApp({ modelClient, retries: 2 }))
+      .post('/api/chat')
+      .set('Authorization', AUTH)
+      .send(chatBody())
+      .expect(502);
+    assert.equal(calls, 2);
+    assert.equal(response.body.error.message, 'Model failed');
+  });
+});
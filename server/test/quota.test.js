@@ -0,0 +1,67 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import { createApp } from '../src/app.js';
+import { createMockClient } from '../src/modelClients/mock.js';
+import { createUsageLimiter } from '../src/quota.js';
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+const tokenVerifier = {
+  async verify() {
+    return { uid: 'u1', email: null };
+  },
+};
+
+describe('createUsageLimiter', () => {
+  it('refuses requests over the daily message limit', () => {
+    const limiter = createUsageLimiter({ perMinute: 0, dailyMessages: 2, dailyTokens: 0 });
+    limiter.consume('u1');
+    limiter.consume('u1');
+    assert.throws(() => limiter.consume('u1'), { status: 429, code: 'quota/daily-messages' });
+  });
+
+  it('forgets users once their daily and rate windows have expired', () => {
+    let time = Date.UTC(2025, 0, 1, 12);
+    const limiter = createUsageLimiter({ now: () => time });
+    limiter.consume('a');
+    limiter.consume('b');
+    assert.equal(limiter.trackedUsers(), 2);
+
+    // Later the same day both still count towards their quota
+    time += MINUTE * 5;
+    limiter.consume('c');
+    assert.equal(limiter.trackedUsers(), 3);
+
+    // The next day only the active user is kept
+    time += DAY;
+    limiter.consume('c');
+    assert.equal(limiter.trackedUsers(), 1);
+    assert.equal(limiter.usage('c').messages.used, 1);
+  });
+});
+
+describe('quota enforcement on the API', () => {
+  it('does not charge requests that fail validation', async () => {
+    const usageLimiter = createUsageLimiter({ perMinute: 0, dailyMessages: 1, dailyTokens: 0 });
+    const app = createApp({ modelClient: createMockClient(), tokenVerifier, usageLimiter });
+
+    await request(app).post('/api/chat').set('Authorization', 'Bearer t').send({ contents: [] }).expect(400);
+    await request(app).post('/api/chat/stream').set('Authorization', 'Bearer t').send({}).expect(400);
+    assert.equal(usageLimiter.usage('u1').messages.used, 0);
+
+    await request(app)
+      .post('/api/chat')
+      .set('Authorization', 'Bearer t')
+      .send({ contents: [{ role: 'user', parts: [{ text: 'hi' }] }] })
+      .expect(200);
+    const refused = await request(app)
+      .post('/api/chat')
+      .set('Authorization', 'Bearer t')
+      .send({ contents: [{ role: 'user', parts: [{ text: 'again' }] }] })
+      .expect(429);
+    assert.equal(refused.body.error.code, 'quota/daily-messages');
+    assert.ok(refused.headers['retry-after']);
+  });
+});
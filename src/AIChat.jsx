@@ -1,46 +1,339 @@
-import React, { useState, useRef, useEffect } from 'react';
-import { Send, Bot, User, Loader, LogOut, UserCircle, Menu, Download, Share2, Mic, Image as ImageIcon, Copy, RotateCw, Volume2, VolumeX } from 'lucide-react';
+import React, { useState, useRef, useEffect, useMemo } from 'react';
+import { Send, Bot, User, Square, LogOut, UserCircle, Menu, Download, Share2, Mic, Paperclip, FileText, Copy, RotateCw, Volume2, VolumeX, Pencil, ChevronLeft, ChevronRight, X, Clock, SlidersHorizontal, UserCog, Plus, Layers, ChevronUp, ChevronDown } from 'lucide-react';
 import './Chat.css';
 import ProfileModal from './ProfileModal';
+import ChatSettingsModal from './ChatSettingsModal';
+import PersonaModal from './PersonaModal';
+import ShareModal from './ShareModal';
+import ExportMenu from './ExportMenu';
 import ChatHistory from './ChatHistory';
-import { db } from './firebase';
+import { renderMarkdown } from './markdown';
+import { isSafeImageSrc, isSafeLinkUrl } from './sanitize';
+import { buildConversationPath, getSelectionsForMessage, ROOT_KEY } from './messageTree';
+import { getVariants, getActiveVariantIndex, getVariantFields, addVariant } from './messageVariants';
+import { DEFAULT_CHAT_SETTINGS, normalizeChatSettings, toRequestSettings, getModelLabel } from './chatSettings';
+import { subscribeToPersonas, savePersona, deletePersona, toChatPersona } from './personas';
+import { TOOL_DECLARATIONS, runToolCall } from './tools';
+import { imageProvider, getGeneratedImages } from './imageProviders';
+import { storeGeneratedImage, storeGeneratedImages } from './generatedImages';
+import { publishChatSnapshot, revokeShare } from './sharing';
+import { navigate, chatPath } from './navigation';
+import { deleteEmptyChats } from './chatCleanup';
+import { planContext, splitIntoSummaryBatches, buildSummaryRequest, estimateTokens, estimateMessageTokens, CONTEXT_TOKEN_BUDGET, MAX_RECENT_MESSAGES } from './contextWindow';
+import {
+  prepareAttachment,
+  uploadAttachment,
+  getMessageAttachments,
+  loadAttachmentAsInlinePart,
+  clearInlinePartCache,
+  dataUrlToBlob,
+  formatFileSize,
+  getStoredPaths,
+  deleteStoredFiles,
+  ACCEPTED_FILE_TYPES,
+  MAX_ATTACHMENTS,
+  MAX_TOTAL_SIZE,
+} from './chatAttachments';
+import { db, auth } from './firebase';
 import { collection, addDoc, query, orderBy, onSnapshot, serverTimestamp, where, updateDoc, doc } from 'firebase/firestore';
 
 // --- CONFIGURATION ---
 // Backend API base URL (defaults to local dev server)
 const API_BASE_URL = (import.meta.env.VITE_API_BASE_URL || 'http://localhost:3001/api').replace(/\/+$/, '');
 const API_URL = `${API_BASE_URL}/chat`;
+const STREAM_API_URL = `${API_BASE_URL}/chat/stream`;
 const VISION_API_URL = `${API_BASE_URL}/vision`;
-const SYSTEM_INSTRUCTION = "You are a helpful and friendly AI chat assistant. Keep your responses concise and engaging, and always answer truthfully and ethically. Respond using markdown. If the user asks you to generate, create, or draw an image, respond with '[IMAGE_REQUEST: description]' where description is a detailed prompt for the image they want.";
+const USAGE_API_URL = `${API_BASE_URL}/usage`;
+const MODELS_API_URL = `${API_BASE_URL}/models`;
+const DEFAULT_INSTRUCTION = "You are a helpful and friendly AI chat assistant. Keep your responses concise and engaging, and always answer truthfully and ethically.";
+// Added after every persona's instructions so formatting and tools keep working
+const TOOL_INSTRUCTION = "Respond using markdown. If the user asks you to generate, create, or draw an image, call the generate_image tool with a detailed prompt instead of describing the image in text.";
+// Model/tool round trips allowed per reply before we stop running tools
+// (MAX_RECENT_MESSAGES in contextWindow.js leaves room for their turns)
+const MAX_TOOL_ROUNDS = 3;
+
+// System instruction for a chat: its persona (see personas.js) or the default assistant
+const buildSystemInstruction = (persona) => `${persona?.instructions || DEFAULT_INSTRUCTION} ${TOOL_INSTRUCTION}`;
+
+// Base64 budget for attachments resent from earlier turns (the current turn's files always go through)
+const HISTORY_ATTACHMENT_BUDGET = 4 * 1024 * 1024;
+// Earlier attachments are only resent while they are among this many latest messages
+const HISTORY_ATTACHMENT_MESSAGES = 6;
+
+// Text stored for a message sent with attachments but no text
+const ATTACHMENT_PLACEHOLDERS = ['[Image]', '[File]'];
+
+// Approximate base64 size of an attachment, counted against HISTORY_ATTACHMENT_BUDGET
+const getAttachmentBudgetSize = (attachment) => (
+  attachment.dataUrl ? attachment.dataUrl.length : Math.ceil((attachment.size || 0) * 4 / 3)
+);
+
+// Split a base64 data URL into the inline_data part Gemini expects
+const dataUrlToInlinePart = (dataUrl) => {
+  const match = /^data:([^;,]+);base64,(.+)$/s.exec(dataUrl || '');
+  if (!match) return null;
+  return { inline_data: { mime_type: match[1], data: match[2] } };
+};
+
+// Set to false once the backend reports it has no streaming endpoint, so we stop probing it
+let streamingAvailable = true;
+
+// Pull the text out of a Gemini response (or a single streamed chunk of one)
+const extractCandidateText = (result) => {
+  const parts = result?.candidates?.[0]?.content?.parts || [];
+  return parts.map(part => part.text || '').join('');
+};
+
+// Function call parts ({ functionCall, thoughtSignature? }) in a Gemini response
+const extractFunctionCalls = (result) => {
+  const parts = result?.candidates?.[0]?.content?.parts || [];
+  return parts.filter(part => part.functionCall);
+};
+
+// Text from successive model rounds, as one reply
+const joinReplyText = (...texts) => texts.filter(Boolean).join('\n\n');
+
+// Resolves after ms milliseconds, or rejects with an AbortError as soon as the signal fires
+const waitWithAbort = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(new DOMException('Aborted', 'AbortError'));
+    return;
+  }
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(new DOMException('Aborted', 'AbortError'));
+  };
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+const createAuthError = (message) => {
+  const error = new Error(message);
+  error.name = 'AuthError';
+  return error;
+};
+
+/**
+ * Error for a 429 from the backend. `code` names the limit that was hit
+ * (quota/rate-limited, quota/daily-messages or quota/daily-tokens) and
+ * `resetAt` is when it frees up again, in milliseconds.
+ */
+const createQuotaError = (apiError) => {
+  const error = new Error(apiError?.message || 'Too many requests');
+  error.name = 'QuotaError';
+  error.code = apiError?.code || 'quota/rate-limited';
+  // Gemini's own rate limit comes back without a reset time; give it a short cooldown
+  error.resetAt = apiError?.details?.resetAt ? Date.parse(apiError.details.resetAt) : Date.now() + 30 * 1000;
+  return error;
+};
 
-// Free image generation API (Pollinations.ai)
-const generateImageURL = (prompt) => {
-  const encodedPrompt = encodeURIComponent(prompt);
-  return `https://image.pollinations.ai/prompt/${encodedPrompt}?width=512&height=512&nologo=true`;
+/**
+ * Error for any other failed backend response, with the backend's message.
+ * `status` is the HTTP status; only 5xx responses are worth retrying.
+ */
+const createApiError = async (response) => {
+  const body = await response.json().catch(() => null);
+  const error = new Error(body?.error?.message || `Request failed with status ${response.status}`);
+  error.name = 'ApiError';
+  error.status = response.status;
+  return error;
+};
+
+// 1234 -> "1.2k", for token counts in the composer footer
+const formatTokenCount = (tokens) => (tokens >= 1000 ? `${(tokens / 1000).toFixed(1).replace(/\.0$/, '')}k` : String(tokens));
+
+// Banner text for a usage limit, counting down while the reset is near
+const getQuotaMessage = (code, resetAt, now = Date.now()) => {
+  const seconds = Math.max(Math.ceil((resetAt - now) / 1000), 0);
+  const when = seconds < 120
+    ? `in ${seconds}s`
+    : `at ${new Date(resetAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`;
+  if (code === 'quota/daily-messages') return `You've reached today's message limit. It resets ${when}.`;
+  if (code === 'quota/daily-tokens') return `You've used up today's token allowance. It resets ${when}.`;
+  return `You're sending messages a little too fast. You can continue ${when}.`;
+};
+
+/**
+ * fetch() for the backend API with the signed-in user's Firebase ID token attached.
+ * A 401 is retried once with a freshly minted token; if the backend still refuses,
+ * the promise rejects with an AuthError so the UI can ask the user to sign in again.
+ * A 429 rejects with a QuotaError (see createQuotaError).
+ */
+const authorizedFetch = async (url, options = {}) => {
+  const currentUser = auth.currentUser;
+  if (!currentUser) {
+    throw createAuthError('You are signed out. Please sign in again.');
+  }
+
+  const send = async (forceRefresh) => {
+    let token;
+    try {
+      token = await currentUser.getIdToken(forceRefresh);
+    } catch (error) {
+      console.error('Failed to get ID token:', error);
+      throw createAuthError('Your session has expired. Please sign in again.');
+    }
+    return fetch(url, {
+      ...options,
+      headers: { ...options.headers, Authorization: `Bearer ${token}` },
+    });
+  };
+
+  let response = await send(false);
+  if (response.status === 401) {
+    response = await send(true);
+  }
+  if (response.status === 401) {
+    const body = await response.json().catch(() => null);
+    console.error('Backend rejected the ID token:', body?.error);
+    throw createAuthError(body?.error?.message || 'Your session has expired. Please sign in again.');
+  }
+  if (response.status === 429) {
+    const body = await response.json().catch(() => null);
+    console.warn('Usage limit reached:', body?.error);
+    throw createQuotaError(body?.error);
+  }
+  return response;
+};
+
+/**
+ * Streams a chat completion from the backend as server-sent events.
+ * Calls onText with the accumulated text after every chunk and resolves with
+ * { text, functionCalls } for the whole reply, or with null when the streaming
+ * endpoint does not exist. Any other failure rejects: the request has reached
+ * the backend, so sending it again to /chat would run (and charge) it twice.
+ */
+const streamChatResponse = async (payload, onText, signal) => {
+  if (!streamingAvailable) return null;
+
+  const response = await authorizedFetch(STREAM_API_URL, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'Accept': 'text/event-stream' },
+    body: JSON.stringify(payload),
+    signal,
+  });
+
+  if ([404, 405, 501].includes(response.status) || (response.ok && !response.body)) {
+    console.log('Streaming endpoint not available, using regular chat endpoint');
+    streamingAvailable = false;
+    return null;
+  }
+  if (!response.ok) {
+    console.warn('Streaming endpoint error:', response.status);
+    throw await createApiError(response);
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let fullText = '';
+  const functionCalls = [];
+
+  const handleLine = (line) => {
+    const trimmed = line.trim();
+    if (!trimmed.startsWith('data:')) return;
+    const data = trimmed.slice(5).trim();
+    if (!data || data === '[DONE]') return;
+    try {
+      const chunk = JSON.parse(data);
+      if (chunk.error) {
+        throw new Error(chunk.error.message || chunk.error);
+      }
+      const delta = extractCandidateText(chunk);
+      if (delta) {
+        fullText += delta;
+        onText(fullText);
+      }
+      functionCalls.push(...extractFunctionCalls(chunk));
+    } catch (error) {
+      if (error instanceof SyntaxError) {
+        console.warn('Skipping malformed stream chunk:', data);
+        return;
+      }
+      throw error;
+    }
+  };
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    lines.forEach(handleLine);
+  }
+  buffer += decoder.decode();
+  if (buffer) handleLine(buffer);
+
+  return { text: fullText, functionCalls };
 };
 
 /**
  * Main application component for the AI Chatbot.
  */
-const App = ({ user, onLogout }) => {
-  // State for storing the conversation messages
-  const [messages, setMessages] = useState([]);
+const App = ({ user, route, onLogout }) => {
+  // All stored messages of the current chat, across every branch
+  const [allMessages, setAllMessages] = useState([]);
+  // Selected child at each fork of the conversation (parentKey -> messageId)
+  const [branchSelections, setBranchSelections] = useState({});
+  // User message currently being edited through the composer (null when not editing)
+  const [editingMessage, setEditingMessage] = useState(null);
   // State for the current user input
   const [input, setInput] = useState('');
   // State to track loading status
   const [isLoading, setIsLoading] = useState(false);
+  // Partial AI response while a streamed reply is in progress (null when not streaming)
+  const [streamingText, setStreamingText] = useState(null);
+  // Controller for the in-flight AI request, so the user can stop it
+  const abortControllerRef = useRef(null);
+  // AI message whose answer is being regenerated in place (null when not regenerating)
+  const [regeneratingMessageId, setRegeneratingMessageId] = useState(null);
+  // Set when the backend rejects our ID token even after a refresh
+  const [authExpired, setAuthExpired] = useState(false);
+  // Remaining rate limit and daily quota reported by the backend (null until loaded)
+  const [usage, setUsage] = useState(null);
+  // Cooldown after hitting a limit: { code, resetAt } (null when sending is allowed)
+  const [quotaBlock, setQuotaBlock] = useState(null);
+  const [quotaNow, setQuotaNow] = useState(() => Date.now());
+  // Model and generation settings of the current chat (see chatSettings.js)
+  const [chatSettings, setChatSettings] = useState(() => normalizeChatSettings(DEFAULT_CHAT_SETTINGS));
+  const [showChatSettings, setShowChatSettings] = useState(false);
+  // Models offered by the backend: { default, models } (null until loaded)
+  const [availableModels, setAvailableModels] = useState(null);
+  // The user's saved personas, and the one the current chat uses (null for the default assistant)
+  const [personas, setPersonas] = useState([]);
+  const [chatPersona, setChatPersona] = useState(null);
+  // Generated image being replaced with a new variant, as `${messageId}-${index}`
+  const [regeneratingImageKey, setRegeneratingImageKey] = useState(null);
+  // Rolling summary of older turns stored on the chat doc (see contextWindow.js)
+  const [contextSummary, setContextSummary] = useState(null);
+  const [showContextSummary, setShowContextSummary] = useState(false);
+  // True while older messages are being condensed before a reply
+  const [isCondensing, setIsCondensing] = useState(false);
+  // Persona modal: false, 'list' or 'new' (opens on the form for a new persona)
+  const [showPersonaModal, setShowPersonaModal] = useState(false);
+  // The chat's public link ({ token, updatedAt } or null) and the share dialog
+  const [chatShare, setChatShare] = useState(null);
+  const [showShareModal, setShowShareModal] = useState(false);
   // State for profile modal
   const [showProfileModal, setShowProfileModal] = useState(false);
   // Count user messages
   const [userMessageCount, setUserMessageCount] = useState(0);
-  // Current chat session ID
-  const [currentChatId, setCurrentChatId] = useState(null);
+  // Current chat session ID (kept in the URL as /c/:chatId, see navigation.js)
+  const [currentChatId, setCurrentChatId] = useState(route.view === 'chat' ? route.chatId : null);
+  // Message to scroll to once it is loaded (from message search) as { messageId, variant },
+  // and the one briefly highlighted after the jump
+  const [jumpTarget, setJumpTarget] = useState(null);
+  const [highlightedMessageId, setHighlightedMessageId] = useState(null);
   // Show/hide chat history sidebar (default: hidden)
   const [showHistory, setShowHistory] = useState(false);
   // Voice recording state
   const [isRecording, setIsRecording] = useState(false);
-  // Selected image for upload
-  const [selectedImage, setSelectedImage] = useState(null);
+  // Files attached to the next message (see prepareAttachment for their shape)
+  const [selectedAttachments, setSelectedAttachments] = useState([]);
   // Dark mode state
   const [darkMode, setDarkMode] = useState(() => {
     const saved = localStorage.getItem('darkMode');
@@ -55,15 +348,69 @@ const App = ({ user, onLogout }) => {
   // Shortcuts help modal
   const [showShortcuts, setShowShortcuts] = useState(false);
   
+  // The conversation as shown: the selected branch, or a welcome message for an empty chat
+  const messages = useMemo(() => {
+    const path = buildConversationPath(allMessages, branchSelections);
+    if (path.length === 0) {
+      return [{
+        sender: 'ai',
+        text: `Hello ${user?.name || 'there'}! I'm your AI assistant. Ask me anything!`,
+        isWelcome: true
+      }];
+    }
+    return path;
+  }, [allMessages, branchSelections, user]);
+
+  // Whether the stored summary belongs to the branch on screen, and the estimated context of the next request
+  const summaryOnPath = Boolean(contextSummary) && messages.some(m => m.id === contextSummary.throughMessageId);
+  const contextTokens = useMemo(() => {
+    const plan = planContext(messages.filter(m => !m.isWelcome), contextSummary);
+    return estimateTokens(plan.summary?.text) +
+      [...plan.messagesToCondense, ...plan.recentMessages].reduce((sum, m) => sum + estimateMessageTokens(m), 0);
+  }, [messages, contextSummary]);
+
   // Ref to automatically scroll to the bottom of the chat area
   const messagesEndRef = useRef(null);
   const fileInputRef = useRef(null);
+  // Files being dragged over the chat (shows the drop overlay)
+  const [isDraggingFiles, setIsDraggingFiles] = useState(false);
+  const dragCounterRef = useRef(0);
   const inputFieldRef = useRef(null);
 
-  // Scrolls to the bottom of the chat history whenever messages update
+  // Scrolls to the bottom of the chat history whenever messages update (unless jumping to a message)
   useEffect(() => {
+    if (jumpTarget) return;
     messagesEndRef.current?.scrollIntoView({ behavior: "smooth" });
-  }, [messages]);
+  }, [messages, streamingText]);
+
+  // Jump to a message from search: switch to its branch and to the answer that matched,
+  // then scroll to it and highlight it
+  useEffect(() => {
+    if (!jumpTarget || allMessages.length === 0) return;
+    const { messageId, variant } = jumpTarget;
+    const target = allMessages.find(m => m.id === messageId);
+    if (!target) {
+      // The chat loaded without it (deleted since the search)
+      setJumpTarget(null);
+      return;
+    }
+    if (!messages.some(m => m.id === messageId)) {
+      setBranchSelections(prev => ({ ...prev, ...getSelectionsForMessage(allMessages, messageId) }));
+      return;
+    }
+    if (variant !== null && variant < getVariants(target).length && variant !== getActiveVariantIndex(target)) {
+      showVariant(target, variant);
+    }
+    document.getElementById(`m-${messageId}`)?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    setHighlightedMessageId(messageId);
+    setJumpTarget(null);
+  }, [jumpTarget, allMessages, messages]);
+
+  useEffect(() => {
+    if (!highlightedMessageId) return;
+    const timer = setTimeout(() => setHighlightedMessageId(null), 2500);
+    return () => clearTimeout(timer);
+  }, [highlightedMessageId]);
 
   // Save dark mode preference
   useEffect(() => {
@@ -106,6 +453,9 @@ const App = ({ user, onLogout }) => {
       // Escape: Close modals
       if (e.key === 'Escape') {
         setShowProfileModal(false);
+        setShowChatSettings(false);
+        setShowPersonaModal(false);
+        setShowShareModal(false);
         setShowShortcuts(false);
       }
       // ?: Show shortcuts
@@ -124,8 +474,23 @@ const App = ({ user, onLogout }) => {
     inputFieldRef.current?.focus();
   }, [currentChatId]);
 
-  // Create a new chat session
-  const createNewChat = async () => {
+  // Attachments downloaded for the history only help the chat they belong to
+  useEffect(() => {
+    clearInlinePartCache();
+  }, [currentChatId]);
+
+  // Clear the loaded conversation when switching chats
+  const resetConversationState = () => {
+    setAllMessages([]);
+    setBranchSelections({});
+    setEditingMessage(null);
+  };
+
+  /**
+   * Saves the chat being drafted (with the settings and persona picked for it so far)
+   * and makes it the current chat. Resolves with its id, or null when saving failed.
+   */
+  const createChat = async () => {
     try {
       console.log('Creating new chat for user:', user?.uid);
       const chatRef = await addDoc(collection(db, "chats"), {
@@ -137,10 +502,13 @@ const App = ({ user, onLogout }) => {
         lastSender: '',
         pinned: false,
         category: 'personal',
+        settings: chatSettings,
+        persona: chatPersona,
       });
       console.log('New chat created with ID:', chatRef.id);
       setCurrentChatId(chatRef.id);
-      setMessages([]);
+      // The draft lived at "/"; the chat takes over that history entry
+      navigate(chatPath(chatRef.id), { replace: true });
       return chatRef.id;
     } catch (error) {
       console.error('Error creating new chat:', error);
@@ -150,13 +518,94 @@ const App = ({ user, onLogout }) => {
     }
   };
 
-  // Initialize with a new chat on first load
+  // Tidy up chats that never got a message (from older versions, or a failed first send)
+  useEffect(() => {
+    if (!user?.uid) return;
+    deleteEmptyChats(user.uid, { keepChatId: currentChatId })
+      .then((count) => {
+        if (count > 0) console.log(`Removed ${count} empty chat(s)`);
+      })
+      .catch((error) => {
+        console.warn('Failed to clean up empty chats:', error);
+      });
+  }, [user]);
+
+  // Follow the URL: open the chat it names (links, back/forward) and jump to its #m-:messageId;
+  // "/" is a new, unsaved chat
+  useEffect(() => {
+    if (route.view !== 'chat') {
+      if (currentChatId) {
+        setCurrentChatId(null);
+        resetConversationState();
+      }
+      return;
+    }
+    if (route.chatId !== currentChatId) {
+      setCurrentChatId(route.chatId);
+      resetConversationState();
+    }
+    if (route.messageId) {
+      setJumpTarget({ messageId: route.messageId, variant: route.variant });
+    }
+  }, [route]);
+
+  // Load the user's remaining quota; a used-up daily quota blocks sending until it resets
+  const refreshUsage = async () => {
+    try {
+      const response = await authorizedFetch(USAGE_API_URL);
+      if (!response.ok) return;
+      const data = await response.json();
+      setUsage(data);
+      if (data.messages.remaining === 0 || data.tokens.remaining === 0) {
+        setQuotaBlock({
+          code: data.messages.remaining === 0 ? 'quota/daily-messages' : 'quota/daily-tokens',
+          resetAt: Date.parse(data.resetAt),
+        });
+      }
+    } catch (error) {
+      console.warn('Failed to load usage:', error);
+    }
+  };
+
+  const loadAvailableModels = async () => {
+    try {
+      const response = await authorizedFetch(MODELS_API_URL);
+      if (response.ok) {
+        setAvailableModels(await response.json());
+      }
+    } catch (error) {
+      console.warn('Failed to load models:', error);
+    }
+  };
+
   useEffect(() => {
-    if (user?.uid && !currentChatId) {
-      createNewChat();
+    if (user?.uid) {
+      refreshUsage();
+      loadAvailableModels();
     }
   }, [user]);
 
+  // Keep the persona list in sync with Firestore
+  useEffect(() => {
+    if (!user?.uid) return;
+    return subscribeToPersonas(user.uid, setPersonas);
+  }, [user]);
+
+  // Tick the cooldown banner and lift the block once the limit resets
+  useEffect(() => {
+    if (!quotaBlock) return;
+    setQuotaNow(Date.now());
+    const timer = setInterval(() => {
+      const now = Date.now();
+      setQuotaNow(now);
+      if (now >= quotaBlock.resetAt) {
+        setQuotaBlock(null);
+        refreshUsage();
+      }
+    }, 1000);
+    return () => clearInterval(timer);
+  }, [quotaBlock]);
+
   // Load messages from Firestore for the current chat
   useEffect(() => {
     if (!currentChatId) {
@@ -180,23 +629,15 @@ const App = ({ user, onLogout }) => {
         });
         
         console.log('Loaded messages:', msgs.length);
-        
-        // If no messages, show welcome message
-        if (msgs.length === 0) {
-          msgs.push({ 
-            sender: 'ai', 
-            text: `Hello ${user?.name || 'there'}! I'm your AI assistant. Ask me anything!`,
-            isWelcome: true 
-          });
-        }
-        setMessages(msgs);
+        setAllMessages(msgs);
       },
       (error) => {
         console.error('Error loading messages:', error);
         console.error('Error details:', error.code, error.message);
         
         // Show error message
-        setMessages([{ 
+        setAllMessages([{ 
+          id: 'load-error',
           sender: 'ai', 
           text: `Error loading messages. Please check the console. Error: ${error.message}`,
           isWelcome: true 
@@ -207,37 +648,104 @@ const App = ({ user, onLogout }) => {
     return () => unsubscribe();
   }, [currentChatId, user]);
 
-  // Utility function to convert chat history for the Gemini API payload
-  const formatHistoryForAPI = (currentMessages) => {
+  // Follow the current chat's settings and persona (older chats get the defaults)
+  useEffect(() => {
+    setChatSettings(normalizeChatSettings(DEFAULT_CHAT_SETTINGS));
+    setChatPersona(null);
+    setContextSummary(null);
+    setShowContextSummary(false);
+    if (!currentChatId) return;
+
+    const unsubscribe = onSnapshot(doc(db, "chats", currentChatId),
+      (chatSnap) => {
+        // A link to a chat that was deleted: start a new one instead
+        if (!chatSnap.exists() && !chatSnap.metadata.fromCache) {
+          console.warn('Chat not found, starting a new one:', currentChatId);
+          navigate('/', { replace: true });
+          return;
+        }
+        setChatSettings(normalizeChatSettings(chatSnap.data()?.settings));
+        setChatPersona(chatSnap.data()?.persona || null);
+        setContextSummary(chatSnap.data()?.contextSummary || null);
+        setChatShare(chatSnap.data()?.share || null);
+      },
+      (error) => {
+        console.error('Error loading chat settings:', error);
+        // Not ours (or no longer readable): start a new chat instead
+        if (error.code === 'permission-denied') {
+          navigate('/', { replace: true });
+        }
+      }
+    );
+    return () => unsubscribe();
+  }, [currentChatId]);
+
+  // Utility function to convert chat history for the Gemini API payload.
+  // Attachments of the latest HISTORY_ATTACHMENT_MESSAGES messages are sent as inline parts, newest
+  // first, until HISTORY_ATTACHMENT_BUDGET is spent; older ones are replaced by a short note so the
+  // model still knows a file was there.
+  const formatHistoryForAPI = async (currentMessages) => {
+    const messageAttachments = currentMessages.map(getMessageAttachments);
+    const includedAttachments = new Set();
+    let remainingBudget = HISTORY_ATTACHMENT_BUDGET;
+    const firstInlineIndex = Math.max(currentMessages.length - HISTORY_ATTACHMENT_MESSAGES, 0);
+    for (let i = currentMessages.length - 1; i >= firstInlineIndex; i--) {
+      const isCurrentTurn = i === currentMessages.length - 1;
+      messageAttachments[i].forEach((attachment) => {
+        const size = getAttachmentBudgetSize(attachment);
+        if (isCurrentTurn || size <= remainingBudget) {
+          includedAttachments.add(attachment);
+          remainingBudget -= size;
+        }
+      });
+    }
+
     // Map application state structure to API structure (user -> user, ai -> model)
-    return currentMessages.map(msg => ({
-      role: msg.sender === 'user' ? 'user' : 'model',
-      parts: [{ text: msg.text }]
+    return Promise.all(currentMessages.map(async (msg, index) => {
+      const parts = [];
+      if (msg.text && !ATTACHMENT_PLACEHOLDERS.includes(msg.text)) {
+        parts.push({ text: msg.text });
+      }
+      for (const attachment of messageAttachments[index]) {
+        let inlinePart = null;
+        if (includedAttachments.has(attachment)) {
+          // Prefer local data (the turn being sent) over downloading from Storage
+          inlinePart = attachment.dataUrl
+            ? dataUrlToInlinePart(attachment.dataUrl)
+            : await loadAttachmentAsInlinePart(attachment);
+        }
+        parts.push(inlinePart || { text: `[Earlier attachment "${attachment.name}" omitted to keep the request small]` });
+      }
+      if (parts.length === 0) {
+        parts.push({ text: msg.text || '' });
+      }
+      return {
+        role: msg.sender === 'user' ? 'user' : 'model',
+        parts,
+      };
     }));
   };
 
-  // Utility function to handle exponential backoff for API retries
+  // Utility function to handle exponential backoff for API retries.
+  // Only network failures and 5xx responses are retried; 4xx errors are thrown straight away.
+  // Aborting options.signal cancels both the request and any pending backoff.
   const fetchWithRetries = async (url, options, retries = 3) => {
     for (let i = 0; i < retries; i++) {
       try {
-        const response = await fetch(url, options);
+        const response = await authorizedFetch(url, options);
         if (response.ok) {
           return response;
         }
-        // If not OK, throw error to trigger retry (unless it's a 4xx client error)
-        if (response.status < 500) {
-            // Log client error and stop retrying
-            console.error('Client Error:', response.status, await response.text());
-            throw new Error(`Client Error: ${response.status}`);
-        }
-        
-        throw new Error(`Server Error: ${response.status}`);
-
+        const apiError = await createApiError(response);
+        console.error(`${response.status < 500 ? 'Client' : 'Server'} Error:`, response.status, apiError.message);
+        throw apiError;
       } catch (error) {
+        if (['AbortError', 'AuthError', 'QuotaError'].includes(error.name)) throw error;
+        if (error.name === 'ApiError' && error.status < 500) throw error;
         if (i < retries - 1) {
           const delay = Math.pow(2, i) * 1000;
           console.log(`Attempt ${i + 1} failed. Retrying in ${delay / 1000}s...`);
-          await new Promise(resolve => setTimeout(resolve, delay));
+          await waitWithAbort(delay, options.signal);
         } else {
           throw error; // Re-throw last error after final attempt
         }
@@ -246,6 +754,152 @@ const App = ({ user, onLogout }) => {
   };
 
 
+  /**
+   * Keeps the history sent to Gemini within CONTEXT_TOKEN_BUDGET. Older turns are folded
+   * into the chat's rolling summary (saved on the chat doc) and only recent ones go verbatim.
+   * Resolves with { summaryText, recentMessages }; if summarizing fails, the full history is used,
+   * up to the MAX_RECENT_MESSAGES the backend accepts.
+   */
+  const prepareContext = async (historyMessages, signal) => {
+    const plan = planContext(historyMessages, contextSummary);
+    if (plan.messagesToCondense.length === 0) {
+      return { summaryText: plan.summary?.text || null, recentMessages: plan.recentMessages };
+    }
+
+    console.log(`Condensing ${plan.messagesToCondense.length} older messages...`);
+    setIsCondensing(true);
+    try {
+      let summaryText = plan.summary?.text || '';
+      for (const batch of splitIntoSummaryBatches(plan.messagesToCondense)) {
+        const response = await fetchWithRetries(API_URL, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            ...buildSummaryRequest(summaryText, batch),
+            ...(chatSettings.model ? { model: chatSettings.model } : {}),
+          }),
+          signal,
+        });
+        const text = extractCandidateText(await response.json()).trim();
+        if (!text) throw new Error('The model returned an empty summary');
+        summaryText = text;
+      }
+
+      const lastCondensed = plan.messagesToCondense[plan.messagesToCondense.length - 1];
+      await updateDoc(doc(db, "chats", currentChatId), {
+        contextSummary: {
+          text: summaryText,
+          throughMessageId: lastCondensed.id,
+          messageCount: historyMessages.indexOf(lastCondensed) + 1,
+          updatedAt: serverTimestamp(),
+        },
+      });
+      return { summaryText, recentMessages: plan.recentMessages };
+    } catch (error) {
+      if (['AbortError', 'AuthError', 'QuotaError'].includes(error.name)) throw error;
+      console.warn('Failed to condense older messages, sending the full history:', error);
+      return {
+        summaryText: plan.summary?.text || null,
+        recentMessages: [...plan.messagesToCondense, ...plan.recentMessages].slice(-MAX_RECENT_MESSAGES),
+      };
+    } finally {
+      setIsCondensing(false);
+    }
+  };
+
+  // One model call: streamed when the backend supports it, otherwise a single request with retries
+  // to `apiUrl`. Resolves with { text, functionCalls }.
+  const callModel = async (apiUrl, payload, onText, signal) => {
+    console.log('Streaming Gemini response...');
+    const streamed = await streamChatResponse(payload, onText, signal);
+    if (streamed) return streamed;
+
+    console.log('Calling Gemini API...');
+    const response = await fetchWithRetries(apiUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload),
+      signal,
+    });
+
+    const result = await response.json();
+    console.log('API Response received:', result);
+    return { text: extractCandidateText(result), functionCalls: extractFunctionCalls(result) };
+  };
+
+  /**
+   * Asks Gemini for a reply to `text` (plus `attachments`) given the prior conversation.
+   * Attachments are stored attachment metadata, with a local `dataUrl` when one is at hand.
+   * Replies are streamed through onText when the backend supports it.
+   * Resolves with { text, images }: the reply and any images generate_image produced.
+   */
+  const requestAIReply = async ({ historyMessages, text, attachments = [], signal, onText }) => {
+    // Text and file turns form one conversation. It is streamed either way; without streaming,
+    // any inline file in it routes the request to the vision endpoint
+    const onlyImages = attachments.every(attachment => attachment.kind === 'image');
+    const defaultPrompt = onlyImages ? "What's in this image?" : 'Please take a look at the attached file.';
+    const { summaryText, recentMessages } = await prepareContext(historyMessages, signal);
+    const contents = await formatHistoryForAPI([
+      ...recentMessages,
+      {
+        sender: 'user',
+        text: text || (attachments.length > 0 ? defaultPrompt : ''),
+        attachments,
+      }
+    ]);
+    const hasInlineFiles = contents.some(content => content.parts.some(part => part.inline_data));
+    const apiUrl = hasInlineFiles ? VISION_API_URL : API_URL;
+
+    const payload = {
+      contents,
+      systemInstruction: {
+        parts: [{
+          text: summaryText
+            ? `${buildSystemInstruction(chatPersona)}\n\nSummary of the earlier conversation (those messages are not repeated below):\n${summaryText}`
+            : buildSystemInstruction(chatPersona),
+        }]
+      },
+      ...toRequestSettings(chatSettings),
+      tools: TOOL_DECLARATIONS,
+    };
+
+    // When the model calls tools, run them (see tools.js) and send the results back for the final answer
+    let aiText = '';
+    const images = [];
+    for (let round = 0; ; round++) {
+      const previousText = aiText;
+      const { text, functionCalls } = await callModel(
+        apiUrl,
+        payload,
+        (partialText) => onText?.(joinReplyText(previousText, partialText)),
+        signal
+      );
+      aiText = joinReplyText(aiText, text);
+      if (functionCalls.length === 0) break;
+      if (round >= MAX_TOOL_ROUNDS) {
+        console.warn('Too many tool rounds, ignoring further calls:', functionCalls);
+        break;
+      }
+
+      console.log('Model called tools:', functionCalls.map(part => part.functionCall.name));
+      const results = await Promise.all(functionCalls.map(part => runToolCall(part.functionCall)));
+      results.forEach(result => {
+        images.push(...(result.display.images || []));
+      });
+      payload.contents = [
+        ...payload.contents,
+        { role: 'model', parts: [...(text ? [{ text }] : []), ...functionCalls] },
+        { role: 'user', parts: results.map(result => result.part) },
+      ];
+    }
+
+    if (!aiText) {
+      aiText = images.length > 0 ? "Here's what I came up with." : "I'm sorry, I couldn't generate a response.";
+    }
+
+    return { text: aiText, images };
+  };
+
   /**
    * Handles sending the user's message, updating the UI, 
    * and calling the AI API with the conversation context.
@@ -254,170 +908,140 @@ const App = ({ user, onLogout }) => {
     e.preventDefault();
     const trimmedInput = input.trim();
 
-    if ((!trimmedInput && !selectedImage) || isLoading) return;
+    if ((!trimmedInput && selectedAttachments.length === 0) || isLoading || quotaBlock) return;
 
     setInput('');
     setIsLoading(true);
     setUserMessageCount(prev => prev + 1);
 
-    // Check if we have a chat ID
-    if (!currentChatId) {
-      console.error('No chat ID available. Creating new chat...');
-      const newChatId = await createNewChat();
-      if (!newChatId) {
-        alert('Failed to create chat. Please refresh the page.');
+    const abortController = new AbortController();
+    abortControllerRef.current = abortController;
+    // Latest streamed text, kept so a cancelled reply can still be saved
+    let partialText = '';
+
+    // A new chat is only saved once its first message is sent
+    let chatId = currentChatId;
+    if (!chatId) {
+      chatId = await createChat();
+      if (!chatId) {
+        setInput(trimmedInput);
         setIsLoading(false);
         return;
       }
-      // Don't continue with this message, let user resend
-      setInput(trimmedInput);
-      setIsLoading(false);
-      return;
     }
 
+    // Editing an earlier message forks the conversation from that message's parent
+    const editIndex = editingMessage ? messages.findIndex(m => m.id === editingMessage.id) : -1;
+    const historyMessages = (editIndex >= 0 ? messages.slice(0, editIndex) : messages).filter(m => !m.isWelcome);
+    const parentId = historyMessages.length > 0 ? historyMessages[historyMessages.length - 1].id : null;
+    const editedFromId = editIndex >= 0 ? editingMessage.id : null;
+    setEditingMessage(null);
+
     // 1. Add user message to Firestore
     let userMessageRef;
+    // Attachments sent with this turn: Storage metadata plus the local data for the request
+    let sentAttachments = [];
+    const placeholderText = selectedAttachments.every(attachment => attachment.kind === 'image') ? '[Image]' : '[File]';
     try {
-      console.log('Saving message to Firestore...', { chatId: currentChatId });
+      console.log('Saving message to Firestore...', { chatId: chatId });
       const messageData = {
         sender: 'user',
-        text: trimmedInput || '[Image]',
+        text: trimmedInput || placeholderText,
         createdAt: serverTimestamp(),
-        chatId: currentChatId,
+        chatId: chatId,
         userId: user?.uid || '',
         userName: user?.name || '',
+        parentId,
       };
+
+      if (editedFromId) {
+        messageData.editedFrom = editedFromId;
+      }
       
-      if (selectedImage) {
-        messageData.hasImage = true;
-        messageData.imageData = selectedImage; // Store base64 image
+      if (selectedAttachments.length > 0) {
+        // Upload new files to Storage; an edited message reuses what it already stored
+        const storedAttachments = await Promise.all(selectedAttachments.map(attachment => (
+          attachment.stored || uploadAttachment(user.uid, chatId, attachment)
+        )));
+        messageData.attachments = storedAttachments;
+        messageData.hasImage = storedAttachments.some(attachment => attachment.kind === 'image');
+        sentAttachments = storedAttachments.map((stored, i) => ({
+          ...stored,
+          dataUrl: selectedAttachments[i].dataUrl || undefined,
+        }));
       }
 
       userMessageRef = await addDoc(collection(db, "messages"), messageData);
       console.log('Message saved successfully');
 
+      // Show the new branch after an edit
+      if (editedFromId) {
+        setBranchSelections(prev => ({ ...prev, [parentId || ROOT_KEY]: userMessageRef.id }));
+      }
+
       // Update chat title if this is the first message and store lastMessage
-      const nonWelcomeMessages = messages.filter(m => !m.isWelcome);
-      if (nonWelcomeMessages.length === 0) {
+      if (historyMessages.length === 0) {
         const chatTitle = trimmedInput.length > 40 
           ? trimmedInput.substring(0, 40) + '...' 
-          : trimmedInput || 'Image chat';
-        await updateDoc(doc(db, "chats", currentChatId), {
+          : trimmedInput || (placeholderText === '[Image]' ? 'Image chat' : 'File chat');
+        await updateDoc(doc(db, "chats", chatId), {
           title: chatTitle,
-          lastMessage: trimmedInput || '[Image]',
+          lastMessage: trimmedInput || placeholderText,
           lastSender: 'user',
           updatedAt: serverTimestamp(),
         });
       } else {
         // Update last message and timestamp
-        await updateDoc(doc(db, "chats", currentChatId), {
-          lastMessage: trimmedInput || '[Image]',
+        await updateDoc(doc(db, "chats", chatId), {
+          lastMessage: trimmedInput || placeholderText,
           lastSender: 'user',
           updatedAt: serverTimestamp(),
         });
       }
     } catch (error) {
       console.error('Error saving user message:', error);
+      alert(`Failed to send message: ${error.message}`);
+      setInput(trimmedInput);
       setIsLoading(false);
       return;
     }
 
-    // 2. Prepare payload for API call
+    // 2. Ask Gemini for a reply
     try {
-      let apiUrl = API_URL;
-      let payload;
-
-      if (selectedImage) {
-        // Use Vision API for image analysis
-        apiUrl = VISION_API_URL;
-        const base64Image = selectedImage.split(',')[1]; // Remove data:image/...;base64, prefix
-        
-        payload = {
-          contents: [{
-            parts: [
-              { text: trimmedInput || "What's in this image?" },
-              {
-                inline_data: {
-                  mime_type: "image/jpeg",
-                  data: base64Image
-                }
-              }
-            ]
-          }],
-          systemInstruction: {
-            parts: [{ text: SYSTEM_INSTRUCTION }]
-          }
-        };
-        
-        // Clear image after sending
-        handleRemoveImage();
-      } else {
-        // Regular text chat
-        const chatHistory = formatHistoryForAPI([
-          ...messages.filter(m => !m.hasImage), // Exclude image messages from history for now
-          { sender: 'user', text: trimmedInput }
-        ]);
-
-        payload = {
-          contents: chatHistory,
-          systemInstruction: {
-            parts: [{ text: SYSTEM_INSTRUCTION }]
-          },
-        };
-      }
-
-      // 3. Call the API with retries
-      console.log('Calling Gemini API...');
-      const response = await fetchWithRetries(apiUrl, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(payload),
-      });
-
-      const result = await response.json();
-      console.log('API Response received:', result);
-
-      // 4. Extract and process the AI response
-      const candidate = result.candidates?.[0];
-      let aiText = "I'm sorry, I couldn't generate a response.";
-
-      if (candidate && candidate.content?.parts?.[0]?.text) {
-        aiText = candidate.content.parts[0].text;
+      if (sentAttachments.length > 0) {
+        // Clear attachments after sending
+        handleClearAttachments();
       }
 
-      // Check if AI wants to generate an image
-      const imageRequestMatch = aiText.match(/\[IMAGE_REQUEST:\s*(.+?)\]/);
-      let generatedImageUrl = null;
-      
-      if (imageRequestMatch) {
-        const imagePrompt = imageRequestMatch[1].trim();
-        console.log('Image generation requested:', imagePrompt);
-        
-        // Generate image URL
-        generatedImageUrl = generateImageURL(imagePrompt);
-        
-        // Clean the text response (remove the image request tag)
-        aiText = aiText.replace(/\[IMAGE_REQUEST:\s*.+?\]/, '').trim();
-        
-        // Add a nice message if text is empty
-        if (!aiText) {
-          aiText = `Here's the image you requested: "${imagePrompt}"`;
-        }
-      }
+      const reply = await requestAIReply({
+        historyMessages,
+        text: trimmedInput,
+        attachments: sentAttachments,
+        signal: abortController.signal,
+        onText: (text) => {
+          partialText = text;
+          setStreamingText(text);
+        },
+      });
+      const aiText = reply.text;
+      // Keep our own copy of generated images; failed ones are saved with a retry button
+      const generatedImages = await storeGeneratedImages(user.uid, chatId, reply.images);
 
-      // 5. Add AI message to Firestore
+      // 3. Add AI message to Firestore
       console.log('Saving AI response to Firestore...');
       const aiMessageData = {
         sender: 'ai',
         text: aiText,
         createdAt: serverTimestamp(),
-        chatId: currentChatId,
+        chatId: chatId,
+        parentId: userMessageRef.id,
       };
       
-      if (generatedImageUrl) {
+      if (generatedImages.length > 0) {
         aiMessageData.hasImage = true;
-        aiMessageData.imageUrl = generatedImageUrl;
-        console.log('AI message includes generated image:', generatedImageUrl);
+        aiMessageData.imageUrl = generatedImages[0].url;
+        aiMessageData.images = generatedImages;
+        console.log('AI message includes generated images:', generatedImages.length);
       }
       
       const aiMessageRef = await addDoc(collection(db, "messages"), aiMessageData);
@@ -425,37 +1049,70 @@ const App = ({ user, onLogout }) => {
 
       // Update chat lastMessage for preview
       console.log('Updating chat metadata...');
-      await updateDoc(doc(db, "chats", currentChatId), {
-        lastMessage: generatedImageUrl ? `${aiText} [Image]` : aiText,
+      await updateDoc(doc(db, "chats", chatId), {
+        lastMessage: generatedImages.length > 0 ? `${aiText} [Image]` : aiText,
         lastSender: 'ai',
         updatedAt: serverTimestamp(),
       });
       console.log('Chat metadata updated successfully');
 
-      // 6. Text-to-speech for AI response (if enabled)
+      // 4. Text-to-speech for AI response (if enabled)
       if (speechEnabled && 'speechSynthesis' in window) {
         speakText(aiText);
       }
 
     } catch (error) {
+      if (error.name === 'AbortError') {
+        // User stopped the generation: keep whatever was streamed so far
+        console.log('AI response cancelled by user');
+        try {
+          await addDoc(collection(db, "messages"), {
+            sender: 'ai',
+            text: partialText || 'Response cancelled.',
+            createdAt: serverTimestamp(),
+            chatId: chatId,
+            parentId: userMessageRef.id,
+            isCancelled: true,
+          });
+          await updateDoc(doc(db, "chats", chatId), {
+            lastMessage: partialText || 'Response cancelled',
+            lastSender: 'ai',
+            updatedAt: serverTimestamp(),
+          });
+        } catch (saveError) {
+          console.error('Failed to save cancelled message to Firestore:', saveError);
+        }
+        return;
+      }
+
       console.error('AI Chat Error:', error);
       console.error('Error type:', error.name);
       console.error('Error message:', error.message);
+
+      let errorText = `I encountered an error: ${error.message}. Please try again or check your connection.`;
+      if (error.name === 'AuthError') {
+        setAuthExpired(true);
+        errorText = 'Your session has expired. Please sign in again to continue.';
+      } else if (error.name === 'QuotaError') {
+        setQuotaBlock({ code: error.code, resetAt: error.resetAt });
+        errorText = `${error.message}. Regenerate this reply once the limit resets.`;
+      }
       
       // Save error message to Firestore
       try {
         console.log('Saving error message to Firestore...');
         const errorMessageRef = await addDoc(collection(db, "messages"), {
           sender: 'ai',
-          text: `I encountered an error: ${error.message}. Please try again or check your connection.`,
+          text: errorText,
           createdAt: serverTimestamp(),
-          chatId: currentChatId,
+          chatId: chatId,
+          parentId: userMessageRef.id,
           isError: true,
         });
         console.log('Error message saved with ID:', errorMessageRef.id);
         
         // Update chat with error
-        await updateDoc(doc(db, "chats", currentChatId), {
+        await updateDoc(doc(db, "chats", chatId), {
           lastMessage: "Error occurred",
           lastSender: 'ai',
           updatedAt: serverTimestamp(),
@@ -464,17 +1121,118 @@ const App = ({ user, onLogout }) => {
         console.error('Failed to save error message to Firestore:', saveError);
       }
     } finally {
+      if (abortControllerRef.current === abortController) {
+        abortControllerRef.current = null;
+      }
+      setStreamingText(null);
       setIsLoading(false);
+      refreshUsage();
+    }
+  };
+
+  // Stop the in-flight AI generation (request, stream or retry backoff)
+  const handleStopGeneration = () => {
+    abortControllerRef.current?.abort();
+  };
+
+  // Save the settings panel; the chat snapshot listener picks the change up (a draft keeps them until it is saved)
+  const handleSaveChatSettings = async (settings) => {
+    if (!currentChatId) {
+      setChatSettings(normalizeChatSettings(settings));
+      return;
     }
+    await updateDoc(doc(db, "chats", currentChatId), { settings });
   };
 
+  // Use a persona (or the default assistant when null) for the current chat's next replies
+  const handleSelectPersona = async (persona) => {
+    if (!currentChatId) {
+      setChatPersona(toChatPersona(persona));
+      return;
+    }
+    try {
+      await updateDoc(doc(db, "chats", currentChatId), { persona: toChatPersona(persona) });
+    } catch (error) {
+      console.error('Failed to set persona:', error);
+      alert(`Failed to set persona: ${error.message}`);
+    }
+  };
+
+  // Save a persona; a chat keeps its own copy, so refresh the copy when editing the current chat's persona
+  const handleSavePersona = async (persona) => {
+    const id = await savePersona(user.uid, persona);
+    if (id !== chatPersona?.id) return;
+    if (currentChatId) {
+      await updateDoc(doc(db, "chats", currentChatId), { persona: toChatPersona({ ...persona, id }) });
+    } else {
+      setChatPersona(toChatPersona({ ...persona, id }));
+    }
+  };
+
+  const handleDeletePersona = (persona) => deletePersona(persona.id);
+
+  // Chat switches go through the URL; the route effect above loads the chat
   const handleSelectChat = (chatId) => {
-    setCurrentChatId(chatId);
-    setMessages([]);
+    navigate(chatPath(chatId));
+  };
+
+  // Open a search result: load its chat (unless it is already open) and jump to the message,
+  // showing the regenerated answer `variant` when the match was in one
+  const handleSelectMessage = (chatId, messageId, variant = null) => {
+    navigate(chatPath(chatId, messageId, variant));
+  };
+
+  // Load a previous user message into the composer; sending it starts a new branch
+  const handleEditMessage = (message) => {
+    if (isLoading) return;
+    setEditingMessage(message);
+    setInput(ATTACHMENT_PLACEHOLDERS.includes(message.text) ? '' : message.text);
+    setSelectedAttachments(getEditableAttachments(message));
+    inputFieldRef.current?.focus();
   };
 
+  // Composer attachments for an edited message: reuse stored uploads, re-upload legacy base64 images
+  const getEditableAttachments = (message) => getMessageAttachments(message).map((attachment, index) => {
+    const id = `${message.id}-${index}`;
+    if (attachment.path) {
+      return {
+        ...attachment,
+        id,
+        previewUrl: attachment.kind === 'image' ? attachment.url : null,
+        dataUrl: null,
+        stored: attachment,
+      };
+    }
+    const blob = dataUrlToBlob(attachment.dataUrl);
+    return {
+      ...attachment,
+      id,
+      previewUrl: attachment.dataUrl,
+      blob,
+      size: blob.size,
+      width: null,
+      height: null,
+      stored: null,
+    };
+  });
+
+  const handleCancelEdit = () => {
+    setEditingMessage(null);
+    setInput('');
+    handleClearAttachments();
+  };
+
+  // Show another branch at the fork a message belongs to
+  const handleSwitchBranch = (message, direction) => {
+    const index = message.siblingIds.indexOf(message.id);
+    const nextId = message.siblingIds[index + direction];
+    if (!nextId) return;
+    setBranchSelections(prev => ({ ...prev, [message.parentKey]: nextId }));
+  };
+
+  // New chats start as an unsaved draft at "/" (see createChat)
   const handleNewChat = () => {
-    createNewChat();
+    navigate('/');
   };
 
   // Text-to-speech
@@ -514,54 +1272,169 @@ const App = ({ user, onLogout }) => {
     }
   };
 
-  // Regenerate last AI response
+  // The last AI reply can be regenerated when it answers a user message
+  const lastMessage = messages[messages.length - 1];
+  const canRegenerate = Boolean(lastMessage?.id) && lastMessage.sender === 'ai' &&
+    messages[messages.length - 2]?.sender === 'user';
+
+  // Regenerate the last AI response in place, keeping earlier answers (but not errors) as variants
   const regenerateResponse = async () => {
-    if (isLoading) return;
-    
-    // Find the last user message
-    const userMessages = messages.filter(m => m.sender === 'user' && !m.isWelcome);
-    if (userMessages.length === 0) return;
-    
-    const lastUserMessage = userMessages[userMessages.length - 1];
-    setInput(lastUserMessage.text);
-    
-    // Trigger send
-    setTimeout(() => {
-      const form = document.querySelector('.input-form');
-      if (form) {
-        form.dispatchEvent(new Event('submit', { cancelable: true, bubbles: true }));
+    if (isLoading || !canRegenerate || quotaBlock) return;
+
+    const aiMessage = lastMessage;
+    const userMessage = messages[messages.length - 2];
+    const historyMessages = messages.slice(0, -2).filter(m => !m.isWelcome);
+
+    setIsLoading(true);
+    setRegeneratingMessageId(aiMessage.id);
+
+    const abortController = new AbortController();
+    abortControllerRef.current = abortController;
+    let partialText = '';
+    let newVariant = null;
+
+    try {
+      const reply = await requestAIReply({
+        historyMessages,
+        text: ATTACHMENT_PLACEHOLDERS.includes(userMessage.text) ? '' : userMessage.text,
+        attachments: getMessageAttachments(userMessage),
+        signal: abortController.signal,
+        onText: (text) => {
+          partialText = text;
+          setStreamingText(text);
+        },
+      });
+      const images = await storeGeneratedImages(user.uid, currentChatId, reply.images);
+      newVariant = { text: reply.text, imageUrl: images[0]?.url || null, images };
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        console.log('Regeneration cancelled by user');
+        if (partialText) {
+          newVariant = { text: partialText, imageUrl: null, images: [], isCancelled: true };
+        }
+      } else if (error.name === 'AuthError') {
+        console.error('Regenerate Error:', error);
+        setAuthExpired(true);
+      } else if (error.name === 'QuotaError') {
+        setQuotaBlock({ code: error.code, resetAt: error.resetAt });
+      } else {
+        console.error('Regenerate Error:', error);
+        alert(`Failed to regenerate response: ${error.message}`);
+      }
+    }
+
+    try {
+      if (newVariant) {
+        await updateDoc(doc(db, "messages", aiMessage.id), addVariant(aiMessage, newVariant));
+        await updateDoc(doc(db, "chats", currentChatId), {
+          lastMessage: newVariant.images.length > 0 ? `${newVariant.text} [Image]` : newVariant.text,
+          lastSender: 'ai',
+          updatedAt: serverTimestamp(),
+        });
+
+        if (!newVariant.isCancelled && speechEnabled && 'speechSynthesis' in window) {
+          speakText(newVariant.text);
+        }
       }
-    }, 100);
+    } catch (saveError) {
+      console.error('Failed to save regenerated response:', saveError);
+    } finally {
+      if (abortControllerRef.current === abortController) {
+        abortControllerRef.current = null;
+      }
+      setStreamingText(null);
+      setRegeneratingMessageId(null);
+      setIsLoading(false);
+      refreshUsage();
+    }
   };
 
-  // Export chat as text
-  const handleExportChat = () => {
-    const chatText = messages
-      .filter(m => !m.isWelcome)
-      .map(msg => `${msg.sender === 'user' ? 'You' : 'AI'}: ${msg.text}`)
-      .join('\n\n');
-    
-    const blob = new Blob([chatText], { type: 'text/plain' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `chat-${new Date().toISOString().slice(0, 10)}.txt`;
-    a.click();
-    URL.revokeObjectURL(url);
+  // Show one of an AI message's regenerated answers
+  const showVariant = async (message, index) => {
+    try {
+      await updateDoc(doc(db, "messages", message.id), {
+        activeVariant: index,
+        ...getVariantFields(getVariants(message)[index]),
+      });
+    } catch (error) {
+      console.error('Error switching response variant:', error);
+    }
+  };
+
+  // Flip an AI message between its regenerated answers
+  const handleSwitchVariant = async (message, direction) => {
+    const variants = getVariants(message);
+    const nextIndex = getActiveVariantIndex(message) + direction;
+    if (isLoading || nextIndex < 0 || nextIndex >= variants.length) return;
+    await showVariant(message, nextIndex);
   };
 
-  // Share chat (copy link to clipboard)
-  const handleShareChat = async () => {
+  /**
+   * Replaces one generated image with a fresh variant (same prompt and settings, new seed).
+   * `retry` keeps the seed instead, to get the image that failed to generate.
+   */
+  const handleRegenerateImage = async (message, index, { retry = false } = {}) => {
+    const images = getGeneratedImages(message);
+    const image = images[index];
+    setRegeneratingImageKey(`${message.id}-${index}`);
     try {
-      const shareUrl = `${window.location.origin}/chat/${currentChatId}`;
-      await navigator.clipboard.writeText(shareUrl);
-      alert('Chat link copied to clipboard!');
+      const [generated] = await imageProvider.generate({ ...image, seed: retry ? image.seed : null, count: 1 });
+      const replacement = await storeGeneratedImage(user.uid, message.chatId, generated);
+      if (replacement.failed && !image.failed) {
+        // Keep the working image rather than swapping it for a failed one
+        alert(`Failed to regenerate image: ${replacement.error}`);
+        return;
+      }
+      const newImages = images.map((existing, i) => (i === index ? replacement : existing));
+      const updates = { images: newImages, imageUrl: newImages[0].url, hasImage: true };
+      // Keep the shown variant in step so switching variants does not bring the old image back
+      if (message.variants?.length) {
+        const activeIndex = getActiveVariantIndex(message);
+        updates.variants = message.variants.map((variant, i) => (
+          i === activeIndex ? { ...variant, images: newImages, imageUrl: newImages[0].url } : variant
+        ));
+      }
+      await updateDoc(doc(db, "messages", message.id), updates);
+
+      // Drop the old copy from Storage unless another variant still shows it
+      const stillUsed = getStoredPaths({ ...message, ...updates });
+      if (image.path && !stillUsed.includes(image.path)) {
+        await deleteStoredFiles([image.path]);
+      }
+    } catch (error) {
+      console.error('Failed to regenerate image:', error);
+      alert(`Failed to regenerate image: ${error.message}`);
+    } finally {
+      setRegeneratingImageKey(null);
+    }
+  };
+
+  // Download a generated image; if the host does not allow fetching it, open it in a new tab instead
+  const handleDownloadImage = async (image) => {
+    try {
+      const response = await fetch(image.url);
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      const blob = await response.blob();
+      const extension = (blob.type.split('/')[1] || 'png').replace('svg+xml', 'svg').replace('jpeg', 'jpg');
+      const name = (image.prompt || 'image').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 40);
+
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `${name || 'image'}${image.seed !== undefined ? `-${image.seed}` : ''}.${extension}`;
+      a.click();
+      URL.revokeObjectURL(url);
     } catch (error) {
-      console.error('Error sharing chat:', error);
-      alert('Failed to copy link');
+      console.warn('Direct download failed, opening the image instead:', error);
+      window.open(image.url, '_blank', 'noopener,noreferrer');
     }
   };
 
+  // Publish (or refresh) the public snapshot of the conversation on screen
+  const handlePublishShare = () => publishChatSnapshot(currentChatId, messages.filter(m => !m.isWelcome));
+
+  const handleRevokeShare = () => revokeShare(chatShare.token, currentChatId);
+
   // Voice input (Web Speech API)
   const handleVoiceInput = () => {
     if (!('webkitSpeechRecognition' in window) && !('SpeechRecognition' in window)) {
@@ -599,25 +1472,107 @@ const App = ({ user, onLogout }) => {
     recognition.start();
   };
 
-  // Handle image upload
-  const handleImageSelect = (e) => {
-    const file = e.target.files?.[0];
-    if (!file) return;
+  // Add picked, dropped or pasted files: validate, detect types and compress images before they are uploaded on send
+  const addAttachments = async (files) => {
+    if (files.length === 0 || isLoading) return;
 
-    if (!file.type.startsWith('image/')) {
-      alert('Please select an image file');
-      return;
+    const errors = [];
+    const added = [];
+    let count = selectedAttachments.length;
+    let totalSize = selectedAttachments.reduce((sum, attachment) => sum + attachment.size, 0);
+
+    for (const file of files) {
+      if (count >= MAX_ATTACHMENTS) {
+        errors.push(`You can attach up to ${MAX_ATTACHMENTS} files per message.`);
+        break;
+      }
+      try {
+        const attachment = await prepareAttachment(file);
+        if (totalSize + attachment.size > MAX_TOTAL_SIZE) {
+          errors.push(`"${file.name}" would take the message over ${formatFileSize(MAX_TOTAL_SIZE)} in total.`);
+          continue;
+        }
+        added.push(attachment);
+        count += 1;
+        totalSize += attachment.size;
+      } catch (error) {
+        console.error('Error preparing attachment:', error);
+        errors.push(error.message || `Could not read "${file.name}".`);
+      }
     }
 
-    const reader = new FileReader();
-    reader.onloadend = () => {
-      setSelectedImage(reader.result);
-    };
-    reader.readAsDataURL(file);
+    if (added.length > 0) {
+      setSelectedAttachments(prev => [...prev, ...added]);
+    }
+    if (errors.length > 0) {
+      alert(errors.join('\n'));
+    }
+  };
+
+  const handleFilesSelect = (e) => {
+    const files = Array.from(e.target.files || []);
+    // Reset the input so picking the same file again still fires onChange
+    e.target.value = '';
+    addAttachments(files);
+  };
+
+  // Drag-and-drop onto the messages or input area. The counter keeps the overlay up
+  // while the pointer moves between child elements (each fires its own enter/leave).
+  const isFileDrag = (e) => Array.from(e.dataTransfer?.types || []).includes('Files');
+
+  const handleDragEnter = (e) => {
+    if (!isFileDrag(e)) return;
+    e.preventDefault();
+    dragCounterRef.current += 1;
+    setIsDraggingFiles(true);
+  };
+
+  const handleDragOver = (e) => {
+    if (!isFileDrag(e)) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = isLoading ? 'none' : 'copy';
+  };
+
+  const handleDragLeave = (e) => {
+    if (!isFileDrag(e)) return;
+    dragCounterRef.current = Math.max(0, dragCounterRef.current - 1);
+    if (dragCounterRef.current === 0) {
+      setIsDraggingFiles(false);
+    }
+  };
+
+  const handleDrop = (e) => {
+    if (!isFileDrag(e)) return;
+    e.preventDefault();
+    dragCounterRef.current = 0;
+    setIsDraggingFiles(false);
+    addAttachments(Array.from(e.dataTransfer.files || []));
   };
 
-  const handleRemoveImage = () => {
-    setSelectedImage(null);
+  // Paste screenshots and copied files straight into the composer
+  const handlePaste = (e) => {
+    const files = Array.from(e.clipboardData?.files || []);
+    if (files.length === 0) return;
+
+    // Clipboard images are all called "image.png", so give them distinct names
+    const named = files.map((file, index) => (
+      file.name && file.name !== 'image.png'
+        ? file
+        : new File([file], `pasted-image-${Date.now()}-${index + 1}.png`, { type: file.type })
+    ));
+    // Keep normal text pasting working when the clipboard also has text
+    if (!e.clipboardData.types.includes('text/plain')) {
+      e.preventDefault();
+    }
+    addAttachments(named);
+  };
+
+  const handleRemoveAttachment = (id) => {
+    setSelectedAttachments(prev => prev.filter(attachment => attachment.id !== id));
+  };
+
+  const handleClearAttachments = () => {
+    setSelectedAttachments([]);
     if (fileInputRef.current) {
       fileInputRef.current.value = '';
     }
@@ -630,25 +1585,87 @@ const App = ({ user, onLogout }) => {
     const isUser = message.sender === 'user';
     const [showActions, setShowActions] = useState(false);
     
-    // Simple markdown parsing (e.g., replacing **text** with bold for better display)
-    const content = message.text.replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>');
+    // Render markdown (headings, lists, tables, highlighted code) to sanitized HTML
+    const content = renderMarkdown(message.text);
+    const generatedImages = getGeneratedImages(message);
+
+    // Copy buttons inside rendered code blocks are plain HTML, so handle their clicks here
+    const handleContentClick = (e) => {
+      const button = e.target.closest('.code-copy-button');
+      if (!button) return;
+      const code = button.closest('.code-block')?.querySelector('code');
+      if (!code) return;
+      copyToClipboard(code.textContent);
+      button.textContent = 'Copied!';
+      setTimeout(() => {
+        button.textContent = 'Copy';
+      }, 1500);
+    };
 
     return (
       <div 
-        className={`message-wrapper ${isUser ? 'user' : 'ai'}`}
+        id={message.id ? `m-${message.id}` : undefined}
+        className={`message-wrapper ${isUser ? 'user' : 'ai'} ${message.isStreaming ? 'streaming' : ''} ${message.id && message.id === highlightedMessageId ? 'highlighted' : ''}`}
         onMouseEnter={() => setShowActions(true)}
         onMouseLeave={() => setShowActions(false)}
       >
+        {/* Branch switcher for messages that were edited into several versions */}
+        {message.siblingIds?.length > 1 && (
+          <div className="branch-switcher">
+            <button
+              onClick={() => handleSwitchBranch(message, -1)}
+              disabled={isLoading || message.siblingIds[0] === message.id}
+              title="Previous version"
+            >
+              <ChevronLeft size={14} />
+            </button>
+            <span>{message.siblingIds.indexOf(message.id) + 1}/{message.siblingIds.length}</span>
+            <button
+              onClick={() => handleSwitchBranch(message, 1)}
+              disabled={isLoading || message.siblingIds[message.siblingIds.length - 1] === message.id}
+              title="Next version"
+            >
+              <ChevronRight size={14} />
+            </button>
+          </div>
+        )}
         <div className={`message-bubble ${isUser ? 'user' : 'ai'}`}>
           {/* Sender Icon */}
           <div className="message-icon">
             {isUser ? <User size={16} /> : <Bot size={16} />}
           </div>
-          {/* Message Content */}
-          <div className="message-content" dangerouslySetInnerHTML={{ __html: content }} />
+          <div className="message-main">
+            {/* Message Content */}
+            <div
+              className="message-content markdown-body"
+              onClick={handleContentClick}
+              dangerouslySetInnerHTML={{ __html: content }}
+            />
+
+            {/* Variant switcher for regenerated answers */}
+            {!isUser && !message.isStreaming && message.variants?.length > 1 && (
+              <div className="variant-switcher">
+                <button
+                  onClick={() => handleSwitchVariant(message, -1)}
+                  disabled={isLoading || getActiveVariantIndex(message) === 0}
+                  title="Previous answer"
+                >
+                  <ChevronLeft size={14} />
+                </button>
+                <span>{getActiveVariantIndex(message) + 1}/{message.variants.length}</span>
+                <button
+                  onClick={() => handleSwitchVariant(message, 1)}
+                  disabled={isLoading || getActiveVariantIndex(message) === message.variants.length - 1}
+                  title="Next answer"
+                >
+                  <ChevronRight size={14} />
+                </button>
+              </div>
+            )}
+          </div>
           
           {/* Message Actions */}
-          {showActions && !message.isWelcome && (
+          {showActions && !message.isWelcome && !message.isStreaming && (
             <div className="message-actions">
               <button
                 onClick={() => copyToClipboard(message.text)}
@@ -657,6 +1674,16 @@ const App = ({ user, onLogout }) => {
               >
                 <Copy size={14} />
               </button>
+              {isUser && (
+                <button
+                  onClick={() => handleEditMessage(message)}
+                  className="message-action-button"
+                  title="Edit message"
+                  disabled={isLoading}
+                >
+                  <Pencil size={14} />
+                </button>
+              )}
               {!isUser && (
                 <button
                   onClick={() => speakText(message.text)}
@@ -666,32 +1693,114 @@ const App = ({ user, onLogout }) => {
                   <Volume2 size={14} />
                 </button>
               )}
+              {!isUser && message.id === lastMessage?.id && canRegenerate && (
+                <button
+                  onClick={regenerateResponse}
+                  className="message-action-button"
+                  title="Regenerate response"
+                  disabled={isLoading}
+                >
+                  <RotateCw size={14} />
+                </button>
+              )}
             </div>
           )}
         </div>
         
-        {/* Show image if present - User uploaded */}
-        {message.hasImage && message.imageData && (
-          <div className="message-image">
-            <img src={message.imageData} alt="User uploaded" />
+        {/* User attachments: images inline, other files as chips */}
+        {isUser && getMessageAttachments(message).length > 0 && (
+          <div className="message-attachments">
+            {getMessageAttachments(message).map((attachment, index) => (
+              attachment.kind === 'image' ? (
+                isSafeImageSrc(attachment.url || attachment.dataUrl) && (
+                  <div className="message-image" key={index}>
+                    <img
+                      src={attachment.url || attachment.dataUrl}
+                      alt={attachment.name || 'User uploaded'}
+                      width={attachment.width || undefined}
+                      height={attachment.height || undefined}
+                    />
+                  </div>
+                )
+              ) : (
+                <a
+                  key={index}
+                  className="attachment-chip"
+                  href={isSafeLinkUrl(attachment.url) ? attachment.url : undefined}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  title={attachment.name}
+                >
+                  <FileText size={16} />
+                  <span className="attachment-name">{attachment.name}</span>
+                  <span className="attachment-size">{formatFileSize(attachment.size || 0)}</span>
+                </a>
+              )
+            ))}
           </div>
         )}
         
-        {/* Show image if present - AI generated */}
-        {message.hasImage && message.imageUrl && (
-          <div className="message-image ai-generated">
-            <img 
-              src={message.imageUrl} 
-              alt="AI generated" 
-              onError={(e) => {
-                console.error('Failed to load generated image');
-                e.target.style.display = 'none';
-                e.target.nextSibling.style.display = 'block';
-              }}
-            />
-            <div style={{ display: 'none', padding: '1rem', background: 'rgba(220, 38, 38, 0.1)', borderRadius: '8px' }}>
-              Failed to load image. Please try again.
-            </div>
+        {/* Images generated by the generate_image tool */}
+        {!isUser && generatedImages.length > 0 && (
+          <div className={`image-gallery ${generatedImages.length > 1 ? 'multiple' : ''}`}>
+            {generatedImages.map((image, index) => {
+              const imageKey = `${message.id}-${index}`;
+              const isRetrying = regeneratingImageKey === imageKey;
+              const canRetry = Boolean(message.id && image.prompt);
+              const retryButton = canRetry && (
+                <button
+                  className="image-retry-button"
+                  onClick={() => handleRegenerateImage(message, index, { retry: true })}
+                  disabled={isRetrying}
+                >
+                  <RotateCw size={14} className={isRetrying ? 'spinning' : ''} />
+                  {isRetrying ? 'Retrying...' : 'Retry'}
+                </button>
+              );
+
+              // Generation failed when the reply was saved: explain and offer a retry
+              if (image.failed || !isSafeImageSrc(image.url)) {
+                return (
+                  <div className="message-image image-failed" key={`failed-${index}`}>
+                    <span>⚠ {image.error || 'Failed to generate image.'}</span>
+                    {retryButton}
+                  </div>
+                );
+              }
+
+              return (
+                <div className="message-image ai-generated" key={`${image.url}-${index}`}>
+                  <img 
+                    src={image.url} 
+                    alt={image.prompt || 'AI generated'} 
+                    loading="lazy"
+                    onError={(e) => {
+                      console.error('Failed to load generated image');
+                      e.target.style.display = 'none';
+                      e.target.nextSibling.style.display = 'flex';
+                    }}
+                  />
+                  <div className="image-failed" style={{ display: 'none' }}>
+                    <span>⚠ Failed to load image.</span>
+                    {retryButton}
+                  </div>
+                  <div className="image-actions">
+                    {canRetry && (
+                      <button
+                        onClick={() => handleRegenerateImage(message, index)}
+                        title="Regenerate this image"
+                        disabled={isRetrying}
+                      >
+                        <RotateCw size={14} className={isRetrying ? 'spinning' : ''} />
+                      </button>
+                    )}
+                    <button onClick={() => handleDownloadImage(image)} title="Download image">
+                      <Download size={14} />
+                    </button>
+                  </div>
+                </div>
+              );
+            })}
           </div>
         )}
       </div>
@@ -707,7 +1816,7 @@ const App = ({ user, onLogout }) => {
         <div className="message-icon">
           <Bot size={16} />
         </div>
-        <span className="message-content">AI is thinking</span>
+        <span className="message-content">{isCondensing ? 'Condensing earlier messages' : 'AI is thinking'}</span>
         <div className="typing-dots">
           <div className="typing-dot"></div>
           <div className="typing-dot"></div>
@@ -725,6 +1834,7 @@ const App = ({ user, onLogout }) => {
           user={user}
           currentChatId={currentChatId}
           onSelectChat={handleSelectChat}
+          onSelectMessage={handleSelectMessage}
           onNewChat={handleNewChat}
           onClose={() => setShowHistory(false)}
           darkMode={darkMode}
@@ -732,6 +1842,16 @@ const App = ({ user, onLogout }) => {
       )}
 
       <div className="chat-container">
+        {/* Drop overlay while files are dragged over the chat */}
+        {isDraggingFiles && (
+          <div className="drop-overlay">
+            <div className="drop-overlay-content">
+              <Paperclip size={32} />
+              <p>{isLoading ? 'Wait for the current reply to finish' : 'Drop files to attach them'}</p>
+              <span>Images, PDF, text or CSV · up to {MAX_ATTACHMENTS} files</span>
+            </div>
+          </div>
+        )}
         
         {/* Header */}
         <header className="chat-header">
@@ -747,13 +1867,36 @@ const App = ({ user, onLogout }) => {
               <Bot size={24} />
             </div>
             <div className="chat-header-center">
-              <h1>Gemini Chat Interface</h1>
-              <p>Ask me anything and I'll remember our conversation!</p>
+              <h1>
+                Gemini Chat Interface
+                {(chatSettings.model || availableModels?.default) && (
+                  <span className="model-badge">{getModelLabel(chatSettings.model || availableModels.default)}</span>
+                )}
+              </h1>
+              <p>
+                {chatPersona
+                  ? `Persona: ${chatPersona.name}`
+                  : "Ask me anything and I'll remember our conversation!"}
+              </p>
             </div>
           </div>
 
           {/* Chat Actions */}
           <div className="chat-header-actions">
+            <button
+              onClick={() => setShowPersonaModal('list')}
+              className={`icon-button ${chatPersona ? 'active' : ''}`}
+              title="Choose persona"
+            >
+              <UserCog size={18} />
+            </button>
+            <button
+              onClick={() => setShowChatSettings(true)}
+              className="icon-button"
+              title="Chat settings (model, temperature, safety)"
+            >
+              <SlidersHorizontal size={18} />
+            </button>
             <button 
               onClick={() => setSpeechEnabled(!speechEnabled)} 
               className={`icon-button ${speechEnabled ? 'active' : ''}`}
@@ -769,18 +1912,19 @@ const App = ({ user, onLogout }) => {
               {darkMode ? '☀️' : '🌙'}
             </button>
             {/* Keyboard shortcuts icon removed as requested */}
-            <button 
-              onClick={handleExportChat} 
-              className="icon-button" 
+            <ExportMenu
+              chatIds={currentChatId ? [currentChatId] : []}
+              selections={{ [currentChatId]: branchSelections }}
+              className="icon-button"
               title="Export chat"
               disabled={messages.filter(m => !m.isWelcome).length === 0}
             >
               <Download size={18} />
-            </button>
+            </ExportMenu>
             <button 
-              onClick={handleShareChat} 
-              className="icon-button" 
-              title="Share chat"
+              onClick={() => setShowShareModal(true)} 
+              className={`icon-button ${chatShare ? 'active' : ''}`}
+              title={chatShare ? 'Chat is shared' : 'Share chat'}
               disabled={!currentChatId}
             >
               <Share2 size={18} />
@@ -789,7 +1933,7 @@ const App = ({ user, onLogout }) => {
               onClick={regenerateResponse} 
               className="icon-button" 
               title="Regenerate last response"
-              disabled={isLoading || messages.filter(m => m.sender === 'user' && !m.isWelcome).length === 0}
+              disabled={isLoading || !canRegenerate}
             >
               <RotateCw size={18} />
             </button>
@@ -818,42 +1962,162 @@ const App = ({ user, onLogout }) => {
         </header>
 
         {/* Chat Messages Area */}
-        <div className="messages-area">
+        <div
+          className="messages-area"
+          onDragEnter={handleDragEnter}
+          onDragOver={handleDragOver}
+          onDragLeave={handleDragLeave}
+          onDrop={handleDrop}
+        >
           {messages.map((msg, index) => (
-            <Message key={index} message={msg} />
+            <React.Fragment key={msg.id || index}>
+              <Message
+                message={msg.id === regeneratingMessageId
+                  ? { ...msg, text: streamingText || '', hasImage: false, imageUrl: null, images: [], isStreaming: true }
+                  : msg}
+              />
+              {summaryOnPath && msg.id === contextSummary.throughMessageId && (
+                <div className="context-summary">
+                  <button
+                    className="context-summary-toggle"
+                    onClick={() => setShowContextSummary(prev => !prev)}
+                    title="Messages above this line are sent to the model as a summary"
+                  >
+                    <Layers size={14} />
+                    {contextSummary.messageCount} earlier messages condensed into a summary
+                    {showContextSummary ? <ChevronUp size={14} /> : <ChevronDown size={14} />}
+                  </button>
+                  {showContextSummary && (
+                    <div
+                      className="context-summary-text markdown-body"
+                      dangerouslySetInnerHTML={{ __html: renderMarkdown(contextSummary.text) }}
+                    />
+                  )}
+                </div>
+              )}
+            </React.Fragment>
           ))}
           
-          {isLoading && <TypingIndicator />}
+          {/* New chats start by picking who to talk to */}
+          {allMessages.length === 0 && !isLoading && (
+            <div className="persona-picker">
+              <span className="persona-picker-label">Chat with:</span>
+              <button
+                className={`persona-chip ${!chatPersona ? 'active' : ''}`}
+                onClick={() => handleSelectPersona(null)}
+              >
+                Default assistant
+              </button>
+              {personas.map(persona => (
+                <button
+                  key={persona.id}
+                  className={`persona-chip ${persona.id === chatPersona?.id ? 'active' : ''}`}
+                  onClick={() => handleSelectPersona(persona)}
+                  title={persona.instructions}
+                >
+                  {persona.name}
+                </button>
+              ))}
+              <button className="persona-chip persona-chip-new" onClick={() => setShowPersonaModal('new')}>
+                <Plus size={14} />
+                New persona
+              </button>
+            </div>
+          )}
+
+          {!regeneratingMessageId && (streamingText !== null ? (
+            <Message message={{ sender: 'ai', text: streamingText, isStreaming: true }} />
+          ) : (
+            isLoading && <TypingIndicator />
+          ))}
           
           <div ref={messagesEndRef} />
         </div>
 
         {/* Input Form */}
-        <div className="input-area">
-          {selectedImage && (
-            <div className="image-preview">
-              <img src={selectedImage} alt="Selected" />
-              <button onClick={handleRemoveImage} className="remove-image-button">
-                <User size={16} />
+        <div
+          className="input-area"
+          onDragEnter={handleDragEnter}
+          onDragOver={handleDragOver}
+          onDragLeave={handleDragLeave}
+          onDrop={handleDrop}
+        >
+          {authExpired && (
+            <div className="auth-expired-banner" role="alert">
+              <span>Your session has expired. Sign in again to keep chatting.</span>
+              <button onClick={onLogout} className="auth-expired-button">
+                Sign in again
+              </button>
+            </div>
+          )}
+          {quotaBlock && (
+            <div className="quota-banner" role="status">
+              <Clock size={14} />
+              <span>{getQuotaMessage(quotaBlock.code, quotaBlock.resetAt, quotaNow)}</span>
+            </div>
+          )}
+          {editingMessage && (
+            <div className="editing-banner">
+              <Pencil size={14} />
+              <span>Editing message — sending will start a new branch from here</span>
+              <button onClick={handleCancelEdit} className="editing-cancel-button" title="Cancel editing">
+                <X size={14} />
               </button>
             </div>
           )}
+          {selectedAttachments.length > 0 && (
+            <div className="attachment-previews">
+              {selectedAttachments.map(attachment => (
+                attachment.kind === 'image' ? (
+                  <div className="image-preview" key={attachment.id} title={attachment.name}>
+                    <img src={attachment.previewUrl} alt={attachment.name} />
+                    <button
+                      onClick={() => handleRemoveAttachment(attachment.id)}
+                      className="remove-image-button"
+                      title="Remove attachment"
+                    >
+                      <X size={14} />
+                    </button>
+                  </div>
+                ) : (
+                  <div className="attachment-chip" key={attachment.id} title={attachment.name}>
+                    <FileText size={16} />
+                    <span className="attachment-name">{attachment.name}</span>
+                    <span className="attachment-size">{formatFileSize(attachment.size)}</span>
+                    <button
+                      onClick={() => handleRemoveAttachment(attachment.id)}
+                      className="remove-attachment-button"
+                      title="Remove attachment"
+                    >
+                      <X size={14} />
+                    </button>
+                  </div>
+                )
+              ))}
+              <span className="attachment-limits">
+                {selectedAttachments.length}/{MAX_ATTACHMENTS} files ·{' '}
+                {formatFileSize(selectedAttachments.reduce((sum, attachment) => sum + attachment.size, 0))}
+                {' '}of {formatFileSize(MAX_TOTAL_SIZE)}
+              </span>
+            </div>
+          )}
           <form onSubmit={handleSendMessage} className="input-form">
             <input
               ref={fileInputRef}
               type="file"
-              accept="image/*"
-              onChange={handleImageSelect}
+              accept={ACCEPTED_FILE_TYPES}
+              multiple
+              onChange={handleFilesSelect}
               style={{ display: 'none' }}
             />
             <button
               type="button"
               onClick={() => fileInputRef.current?.click()}
               className="input-icon-button"
-              title="Upload image"
-              disabled={isLoading}
+              title={`Attach images, PDF, text or CSV files (up to ${MAX_ATTACHMENTS})`}
+              disabled={isLoading || selectedAttachments.length >= MAX_ATTACHMENTS}
             >
-              <ImageIcon size={20} />
+              <Paperclip size={20} />
             </button>
             <button
               type="button"
@@ -869,22 +2133,45 @@ const App = ({ user, onLogout }) => {
               ref={inputFieldRef}
               value={input}
               onChange={(e) => setInput(e.target.value)}
+              onPaste={handlePaste}
               placeholder="Type your message here..."
               className="input-field"
               disabled={isLoading}
             />
-            <button
-              type="submit"
-              disabled={(!input.trim() && !selectedImage) || isLoading}
-              className="send-button"
-            >
-              {isLoading ? (
-                <Loader className="spinner" size={20} />
-              ) : (
+            {isLoading ? (
+              <button
+                type="button"
+                onClick={handleStopGeneration}
+                className="send-button stop-button"
+                title="Stop generating"
+              >
+                <Square className="send-icon" size={18} />
+              </button>
+            ) : (
+              <button
+                type="submit"
+                disabled={(!input.trim() && selectedAttachments.length === 0) || Boolean(quotaBlock)}
+                className="send-button"
+              >
                 <Send className="send-icon" size={20} />
-              )}
-            </button>
+              </button>
+            )}
           </form>
+          {(contextTokens > 0 || usage?.messages.limit) && (
+            <p className="quota-indicator">
+              {contextTokens > 0 && (
+                <span title="Estimated size of the conversation sent with your next message">
+                  Context ~{formatTokenCount(contextTokens)} of {formatTokenCount(CONTEXT_TOKEN_BUDGET)} tokens
+                </span>
+              )}
+              {usage?.messages.limit && (
+                <span>
+                  {usage.messages.remaining} of {usage.messages.limit} messages left today
+                  {usage.tokens.limit && ` · ${formatTokenCount(usage.tokens.remaining)} tokens`}
+                </span>
+              )}
+            </p>
+          )}
         </div>
       </div>
 
@@ -893,10 +2180,43 @@ const App = ({ user, onLogout }) => {
         <ProfileModal
           user={user}
           messageCount={userMessageCount}
+          usage={usage}
           onClose={() => setShowProfileModal(false)}
         />
       )}
 
+      {/* Chat Settings Modal */}
+      {showChatSettings && (
+        <ChatSettingsModal
+          settings={chatSettings}
+          models={availableModels}
+          onSave={handleSaveChatSettings}
+          onClose={() => setShowChatSettings(false)}
+        />
+      )}
+
+      {/* Persona Modal */}
+      {showPersonaModal && (
+        <PersonaModal
+          personas={personas}
+          activePersonaId={chatPersona?.id || null}
+          onSelect={handleSelectPersona}
+          onSave={handleSavePersona}
+          onDelete={handleDeletePersona}
+          onClose={() => setShowPersonaModal(false)}
+          startWithNew={showPersonaModal === 'new'}
+        />
+      )}
+
+      {showShareModal && (
+        <ShareModal
+          share={chatShare}
+          onPublish={handlePublishShare}
+          onRevoke={handleRevokeShare}
+          onClose={() => setShowShareModal(false)}
+        />
+      )}
+
       {/* Keyboard Shortcuts Modal */}
       {showShortcuts && (
         <div className="modal-overlay" onClick={() => setShowShortcuts(false)}>
@@ -1,13 +1,19 @@
 import { useState, useEffect } from 'react'
 import AIChat from './AIChat'
 import AuthPage from './AuthPage'
+import SharedChatView from './SharedChatView'
 import './App.css'
 import { auth } from './firebase'
 import { onAuthStateChanged, signOut } from 'firebase/auth'
+import { parseLocation, subscribeToLocation, navigate, chatPath } from './navigation'
 
 function App() {
   const [user, setUser] = useState(null)
   const [loading, setLoading] = useState(true)
+  // Current route from the URL (see navigation.js)
+  const [route, setRoute] = useState(() => parseLocation(window.location))
+  // A visitor on a shared chat asked to sign in
+  const [wantsSignIn, setWantsSignIn] = useState(false)
 
   // Check for existing authentication state on app load
   useEffect(() => {
@@ -29,6 +35,15 @@ function App() {
     return () => unsubscribe()
   }, [])
 
+  // Follow navigation, including the browser's back/forward buttons
+  useEffect(() => subscribeToLocation(setRoute), [])
+
+  // Leave the shared chat for the app, optionally opening one of the user's chats
+  const handleOpenChat = (chatId) => {
+    setWantsSignIn(false)
+    navigate(chatId ? chatPath(chatId) : '/')
+  }
+
   const handleAuthSuccess = (userData) => {
     setUser(userData)
   }
@@ -37,6 +52,8 @@ function App() {
     try {
       await signOut(auth)
       setUser(null)
+      // The next user starts from a fresh chat, not this user's
+      navigate('/', { replace: true })
     } catch (error) {
       console.error('Logout error:', error)
     }
@@ -60,10 +77,22 @@ function App() {
     )
   }
 
+  // Shared chats are public; the sign-in page only shows when the viewer asks for it
+  if (route.view === 'share' && (user || !wantsSignIn)) {
+    return (
+      <SharedChatView
+        token={route.token}
+        user={user}
+        onSignIn={() => setWantsSignIn(true)}
+        onOpenChat={handleOpenChat}
+      />
+    )
+  }
+
   return (
     <>
       {user ? (
-        <AIChat user={user} onLogout={handleLogout} />
+        <AIChat user={user} route={route} onLogout={handleLogout} />
       ) : (
         <AuthPage onAuthSuccess={handleAuthSuccess} />
       )}
@@ -1,10 +1,23 @@
-import React, { useState, useEffect } from 'react';
-import { MessageSquare, Plus, Trash2, Clock, Search, Pin, X } from 'lucide-react';
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { MessageSquare, Plus, Trash2, Clock, Search, Pin, X, SlidersHorizontal, Download, Upload } from 'lucide-react';
 import { db } from './firebase';
 import { collection, query, where, orderBy, onSnapshot, addDoc, deleteDoc, doc, serverTimestamp, updateDoc, getDocs, writeBatch, limit } from 'firebase/firestore';
+import { deleteStoredFiles, getStoredPaths } from './chatAttachments';
+import { revokeShare } from './sharing';
+import { loadSearchableMessages, searchMessages, MIN_QUERY_LENGTH, MAX_SEARCHED_CHATS } from './messageSearch';
+import ExportMenu from './ExportMenu';
+import ImportModal from './ImportModal';
 import './ChatHistory.css';
 
-const ChatHistory = ({ user, currentChatId, onSelectChat, onNewChat, darkMode }) => {
+const EMPTY_MESSAGE_FILTERS = { sender: 'all', from: '', to: '' };
+
+/**
+ * Sidebar listing the user's chats. The search box filters chat titles and, from
+ * MIN_QUERY_LENGTH characters on, searches message text in every chat; clicking a
+ * message result calls onSelectMessage(chatId, messageId, variant), where `variant` is the
+ * index of the regenerated answer that matched (null for the answer on screen).
+ */
+const ChatHistory = ({ user, currentChatId, onSelectChat, onSelectMessage, onNewChat, darkMode }) => {
   const [chats, setChats] = useState([]);
   const [searchQuery, setSearchQuery] = useState('');
   const [selectedCategory, setSelectedCategory] = useState('all');
@@ -14,6 +27,19 @@ const ChatHistory = ({ user, currentChatId, onSelectChat, onNewChat, darkMode })
   const [showCategoryModal, setShowCategoryModal] = useState(false);
   const [editingChatId, setEditingChatId] = useState(null);
   const [isClearing, setIsClearing] = useState(false);
+  const [showImportModal, setShowImportModal] = useState(false);
+  // Message search: loaded messages (cached per chat in messageCacheRef) and the sender/date filters
+  const messageCacheRef = useRef(new Map());
+  const [searchableMessages, setSearchableMessages] = useState([]);
+  // True when older chats were left out of the message search
+  const [searchLimited, setSearchLimited] = useState(false);
+  const [messagesLoading, setMessagesLoading] = useState(false);
+  const [messageSearchError, setMessageSearchError] = useState(null);
+  const [showSearchFilters, setShowSearchFilters] = useState(false);
+  const [messageFilters, setMessageFilters] = useState(EMPTY_MESSAGE_FILTERS);
+
+  const isSearchingMessages = searchQuery.trim().length >= MIN_QUERY_LENGTH;
+  const hasMessageFilters = messageFilters.sender !== 'all' || Boolean(messageFilters.from || messageFilters.to);
 
   const categories = ['all', 'work', 'personal', 'learning', 'other'];
 
@@ -26,6 +52,7 @@ const ChatHistory = ({ user, currentChatId, onSelectChat, onNewChat, darkMode })
     }
 
     console.log('ChatHistory: loading chats for user', user.uid);
+    messageCacheRef.current.clear();
 
     const q = query(
       collection(db, "chats"),
@@ -58,6 +85,34 @@ const ChatHistory = ({ user, currentChatId, onSelectChat, onNewChat, darkMode })
     return () => unsubscribe();
   }, [user]);
 
+  // Load message text for searching once a query is typed; chats that changed are reloaded
+  useEffect(() => {
+    if (!isSearchingMessages) return;
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      setMessagesLoading(true);
+      try {
+        const loaded = await loadSearchableMessages(chats, messageCacheRef.current);
+        if (!cancelled) {
+          setSearchableMessages(loaded.messages);
+          setSearchLimited(loaded.limited);
+          setMessageSearchError(null);
+        }
+      } catch (error) {
+        console.error('ChatHistory: failed to load messages for search', error);
+        if (!cancelled) setMessageSearchError(error.message || String(error));
+      } finally {
+        if (!cancelled) setMessagesLoading(false);
+      }
+    }, 300);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [isSearchingMessages, chats]);
+
   const handleDeleteChat = async (chatId, e) => {
     e.stopPropagation();
     if (!window.confirm('Delete this chat? This cannot be undone.')) return;
@@ -67,16 +122,29 @@ const ChatHistory = ({ user, currentChatId, onSelectChat, onNewChat, darkMode })
       const messagesCol = collection(db, 'messages');
       // Keep deleting in batches of 200 until no docs remain
       const batchSize = 200;
+      const storedPaths = [];
       while (true) {
         const q = query(messagesCol, where('chatId', '==', chatId), limit(batchSize));
         const snapshot = await getDocs(q);
         if (snapshot.empty) break;
         const batch = writeBatch(db);
-        snapshot.forEach(docSnap => batch.delete(doc(db, 'messages', docSnap.id)));
+        snapshot.forEach(docSnap => {
+          storedPaths.push(...getStoredPaths(docSnap.data()));
+          batch.delete(doc(db, 'messages', docSnap.id));
+        });
         await batch.commit();
         if (snapshot.size < batchSize) break;
       }
 
+      // Remove uploaded attachments from Storage
+      await deleteStoredFiles(storedPaths);
+
+      // Take down its public link
+      const shareToken = chats.find(chat => chat.id === chatId)?.share?.token;
+      if (shareToken) {
+        await revokeShare(shareToken);
+      }
+
       // finally delete the chat doc
       await deleteDoc(doc(db, "chats", chatId));
       // If deleting current chat, switch to a new one
@@ -111,6 +179,7 @@ const ChatHistory = ({ user, currentChatId, onSelectChat, onNewChat, darkMode })
       // Delete all messages for all chats first
       const messagesCol = collection(db, 'messages');
       const batchSize = 200;
+      const storedPaths = [];
       
       for (const chatId of chatIds) {
         console.log('Deleting messages for chat:', chatId);
@@ -128,6 +197,7 @@ const ChatHistory = ({ user, currentChatId, onSelectChat, onNewChat, darkMode })
           
           const batch = writeBatch(db);
           snapshot.forEach(docSnap => {
+            storedPaths.push(...getStoredPaths(docSnap.data()));
             batch.delete(doc(db, 'messages', docSnap.id));
             deletedCount++;
           });
@@ -139,7 +209,14 @@ const ChatHistory = ({ user, currentChatId, onSelectChat, onNewChat, darkMode })
         }
       }
 
-      console.log('All messages deleted. Now deleting chat documents...');
+      console.log('All messages deleted. Removing uploaded attachments...');
+      await deleteStoredFiles(storedPaths);
+
+      // Take down public links of shared chats
+      const shareTokens = chats.map(chat => chat.share?.token).filter(Boolean);
+      await Promise.all(shareTokens.map(token => revokeShare(token)));
+
+      console.log('Now deleting chat documents...');
 
       // Delete all chat documents (max 500 per batch)
       const maxBatchSize = 500;
@@ -201,6 +278,16 @@ const ChatHistory = ({ user, currentChatId, onSelectChat, onNewChat, darkMode })
     return matchesSearch && matchesCategory;
   });
 
+  const messageSearch = useMemo(() => {
+    if (!isSearchingMessages) return { results: [], total: 0 };
+    const chatIds = selectedCategory === 'all'
+      ? null
+      : new Set(chats.filter(chat => chat.category === selectedCategory).map(chat => chat.id));
+    return searchMessages(searchableMessages, { text: searchQuery, chatIds, ...messageFilters });
+  }, [isSearchingMessages, searchableMessages, searchQuery, selectedCategory, chats, messageFilters]);
+
+  const chatTitles = useMemo(() => new Map(chats.map(chat => [chat.id, chat.title || 'New Chat'])), [chats]);
+
   // Sort: pinned first, then by date
   const sortedChats = [...filteredChats].sort((a, b) => {
     if (a.pinned && !b.pinned) return -1;
@@ -230,9 +317,14 @@ const ChatHistory = ({ user, currentChatId, onSelectChat, onNewChat, darkMode })
     <div className={`chat-history ${darkMode ? 'dark-mode' : ''}`}>
       <div className="chat-history-header">
         <h3>Chat History</h3>
-        <button className="new-chat-button" onClick={onNewChat} title="New Chat">
-          <Plus size={18} />
-        </button>
+        <div className="chat-history-header-actions">
+          <button className="new-chat-button" onClick={() => setShowImportModal(true)} title="Import Chats">
+            <Upload size={18} />
+          </button>
+          <button className="new-chat-button" onClick={onNewChat} title="New Chat">
+            <Plus size={18} />
+          </button>
+        </div>
       </div>
 
       {/* Category Filter */}
@@ -253,7 +345,7 @@ const ChatHistory = ({ user, currentChatId, onSelectChat, onNewChat, darkMode })
         <Search size={16} />
         <input
           type="text"
-          placeholder="Search chats..."
+          placeholder="Search chats and messages..."
           value={searchQuery}
           onChange={(e) => setSearchQuery(e.target.value)}
           className="search-input"
@@ -263,9 +355,56 @@ const ChatHistory = ({ user, currentChatId, onSelectChat, onNewChat, darkMode })
             <X size={16} />
           </button>
         )}
+        <button
+          onClick={() => setShowSearchFilters(prev => !prev)}
+          className={`clear-search ${showSearchFilters || hasMessageFilters ? 'active' : ''}`}
+          title="Filter messages by sender and date"
+        >
+          <SlidersHorizontal size={16} />
+        </button>
       </div>
 
-      {/* Clear All Chats Button */}
+      {/* Message search filters (the category buttons above apply too) */}
+      {showSearchFilters && (
+        <div className="search-filters">
+          <label className="search-filter">
+            <span>Sender</span>
+            <select
+              value={messageFilters.sender}
+              onChange={(e) => setMessageFilters({ ...messageFilters, sender: e.target.value })}
+            >
+              <option value="all">Anyone</option>
+              <option value="user">You</option>
+              <option value="ai">AI</option>
+            </select>
+          </label>
+          <label className="search-filter">
+            <span>After</span>
+            <input
+              type="date"
+              value={messageFilters.from}
+              max={messageFilters.to || undefined}
+              onChange={(e) => setMessageFilters({ ...messageFilters, from: e.target.value })}
+            />
+          </label>
+          <label className="search-filter">
+            <span>Before</span>
+            <input
+              type="date"
+              value={messageFilters.to}
+              min={messageFilters.from || undefined}
+              onChange={(e) => setMessageFilters({ ...messageFilters, to: e.target.value })}
+            />
+          </label>
+          {hasMessageFilters && (
+            <button className="search-filters-reset" onClick={() => setMessageFilters(EMPTY_MESSAGE_FILTERS)}>
+              Reset filters
+            </button>
+          )}
+        </div>
+      )}
+
+      {/* Clear All / Export All Chats */}
       {chats.length > 0 && (
         <div className="clear-all-container">
           <button 
@@ -277,6 +416,15 @@ const ChatHistory = ({ user, currentChatId, onSelectChat, onNewChat, darkMode })
             <Trash2 size={14} />
             <span>{isClearing ? 'Deleting...' : `Clear All Chats (${chats.length})`}</span>
           </button>
+          <ExportMenu
+            chatIds={chats.map(chat => chat.id)}
+            className="export-all-button"
+            title="Export all chats"
+            align="left"
+          >
+            <Download size={14} />
+            <span>Export All Chats</span>
+          </ExportMenu>
         </div>
       )}
 
@@ -298,7 +446,7 @@ const ChatHistory = ({ user, currentChatId, onSelectChat, onNewChat, darkMode })
               </div>
             )}
           </div>
-        ) : sortedChats.length === 0 ? (
+        ) : sortedChats.length === 0 && !isSearchingMessages ? (
           <div className="no-chats">
             <MessageSquare size={32} />
             <p>{searchQuery ? 'No chats found' : 'No chats yet'}</p>
@@ -309,70 +457,125 @@ const ChatHistory = ({ user, currentChatId, onSelectChat, onNewChat, darkMode })
             )}
           </div>
         ) : (
-          sortedChats.map((chat) => (
-            <div
-              key={chat.id}
-              className={`chat-history-item ${chat.id === currentChatId ? 'active' : ''} ${chat.pinned ? 'pinned' : ''}`}
-              onClick={() => onSelectChat(chat.id)}
-            >
-              <div className="chat-history-item-header">
-                <MessageSquare size={16} />
-                <span className="chat-title">{chat.title || 'New Chat'}</span>
-                <div className="chat-actions">
-                  <button
-                    className={`pin-chat-button ${chat.pinned ? 'pinned' : ''}`}
-                    onClick={(e) => handlePinChat(chat.id, e)}
-                    title={chat.pinned ? "Unpin chat" : "Pin chat"}
-                  >
-                    <Pin size={14} />
-                  </button>
-                  <button
-                    className="delete-chat-button"
-                    onClick={(e) => handleDeleteChat(chat.id, e)}
-                    title="Delete chat"
-                  >
-                    <Trash2 size={14} />
-                  </button>
+          <>
+            {isSearchingMessages && sortedChats.length > 0 && (
+              <div className="search-section-label">Chats</div>
+            )}
+            {sortedChats.map((chat) => (
+              <div
+                key={chat.id}
+                className={`chat-history-item ${chat.id === currentChatId ? 'active' : ''} ${chat.pinned ? 'pinned' : ''}`}
+                onClick={() => onSelectChat(chat.id)}
+              >
+                <div className="chat-history-item-header">
+                  <MessageSquare size={16} />
+                  <span className="chat-title">{chat.title || 'New Chat'}</span>
+                  <div className="chat-actions">
+                    <button
+                      className={`pin-chat-button ${chat.pinned ? 'pinned' : ''}`}
+                      onClick={(e) => handlePinChat(chat.id, e)}
+                      title={chat.pinned ? "Unpin chat" : "Pin chat"}
+                    >
+                      <Pin size={14} />
+                    </button>
+                    <button
+                      className="delete-chat-button"
+                      onClick={(e) => handleDeleteChat(chat.id, e)}
+                      title="Delete chat"
+                    >
+                      <Trash2 size={14} />
+                    </button>
+                  </div>
+                </div>
+                {chat.lastMessage && (
+                  <div className="chat-preview">
+                    <span className="preview-sender">{chat.lastSender === 'ai' ? 'AI' : 'You'}:</span>
+                    <span className="preview-text">{chat.lastMessage.length > 80 ? chat.lastMessage.substring(0, 80) + '...' : chat.lastMessage}</span>
+                  </div>
+                )}
+                <div className="chat-history-item-footer">
+                  <Clock size={12} />
+                  <span className="chat-timestamp">{formatDate(chat.updatedAt)}</span>
+                  {chat.pinned && <span className="pinned-badge">📌</span>}
+                  {editingChatId === chat.id ? (
+                    <select
+                      value={chat.category || 'other'}
+                      onChange={(e) => handleSetCategory(chat.id, e.target.value)}
+                      onClick={(e) => e.stopPropagation()}
+                      className="category-select"
+                    >
+                      {categories.filter(c => c !== 'all').map(cat => (
+                        <option key={cat} value={cat}>{cat}</option>
+                      ))}
+                    </select>
+                  ) : (
+                    <span 
+                      className="category-badge"
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        setEditingChatId(chat.id);
+                      }}
+                      title="Click to change category"
+                    >
+                      {chat.category || 'other'}
+                    </span>
+                  )}
                 </div>
               </div>
-              {chat.lastMessage && (
-                <div className="chat-preview">
-                  <span className="preview-sender">{chat.lastSender === 'ai' ? 'AI' : 'You'}:</span>
-                  <span className="preview-text">{chat.lastMessage.length > 80 ? chat.lastMessage.substring(0, 80) + '...' : chat.lastMessage}</span>
+            ))}
+
+            {/* Messages matching the search, newest first */}
+            {isSearchingMessages && (
+              <>
+                <div className="search-section-label">
+                  Messages{messageSearch.total > 0 && ` (${messageSearch.total > messageSearch.results.length ? `${messageSearch.results.length} of ${messageSearch.total}` : messageSearch.total})`}
                 </div>
-              )}
-              <div className="chat-history-item-footer">
-                <Clock size={12} />
-                <span className="chat-timestamp">{formatDate(chat.updatedAt)}</span>
-                {chat.pinned && <span className="pinned-badge">📌</span>}
-                {editingChatId === chat.id ? (
-                  <select
-                    value={chat.category || 'other'}
-                    onChange={(e) => handleSetCategory(chat.id, e.target.value)}
-                    onClick={(e) => e.stopPropagation()}
-                    className="category-select"
-                  >
-                    {categories.filter(c => c !== 'all').map(cat => (
-                      <option key={cat} value={cat}>{cat}</option>
-                    ))}
-                  </select>
+                {searchLimited && !messageSearchError && (
+                  <p className="search-status">Searching the {MAX_SEARCHED_CHATS} most recently updated chats</p>
+                )}
+                {messageSearchError ? (
+                  <p className="search-status">Failed to search messages: {messageSearchError}</p>
+                ) : messagesLoading && searchableMessages.length === 0 ? (
+                  <p className="search-status">Searching messages...</p>
+                ) : messageSearch.results.length === 0 ? (
+                  <p className="search-status">No messages found</p>
                 ) : (
-                  <span 
-                    className="category-badge"
-                    onClick={(e) => {
-                      e.stopPropagation();
-                      setEditingChatId(chat.id);
-                    }}
-                    title="Click to change category"
-                  >
-                    {chat.category || 'other'}
-                  </span>
+                  messageSearch.results.map(result => (
+                    <div
+                      key={`${result.id}-${result.variant ?? 'shown'}`}
+                      className="chat-history-item message-search-result"
+                      onClick={() => onSelectMessage(result.chatId, result.id, result.variant)}
+                    >
+                      <div className="chat-history-item-header">
+                        <MessageSquare size={16} />
+                        <span className="chat-title">{chatTitles.get(result.chatId)}</span>
+                      </div>
+                      <div className="chat-preview">
+                        <span className="preview-sender">{result.sender === 'ai' ? 'AI' : 'You'}{result.variant !== null && ' (other answer)'}:</span>
+                        <span className="search-snippet">
+                          {result.snippet.map((segment, index) => (
+                            segment.match
+                              ? <mark key={index}>{segment.text}</mark>
+                              : <React.Fragment key={index}>{segment.text}</React.Fragment>
+                          ))}
+                        </span>
+                      </div>
+                      <div className="chat-history-item-footer">
+                        <Clock size={12} />
+                        <span className="chat-timestamp">{formatDate(result.createdAt)}</span>
+                      </div>
+                    </div>
+                  ))
                 )}
-              </div>
-            </div>
-          ))
+              </>
+            )}
+          </>
         )}
       </div>
+
+      {showImportModal && (
+        <ImportModal user={user} onClose={() => setShowImportModal(false)} />
+      )}
     </div>
   );
 };
@@ -0,0 +1,209 @@
+import React, { useState } from 'react';
+import { X, Cpu, Thermometer, Sliders, Hash, ShieldCheck } from 'lucide-react';
+import './ProfileModal.css';
+import './ChatSettingsModal.css';
+import {
+  MODEL_OPTIONS,
+  SAFETY_CATEGORIES,
+  SAFETY_THRESHOLDS,
+  DEFAULT_CHAT_SETTINGS,
+  getModelLabel,
+  normalizeChatSettings,
+} from './chatSettings';
+
+// Slider positions shown while a value is still at Gemini's default
+const SLIDER_DEFAULTS = { temperature: 1, topP: 0.95 };
+
+/**
+ * Settings panel for the current chat: model, sampling and safety thresholds.
+ * `models` is the backend's { default, models } list (null while loading).
+ * onSave(settings) persists the settings and resolves when done.
+ */
+const ChatSettingsModal = ({ settings, models, onSave, onClose }) => {
+  const [draft, setDraft] = useState(() => normalizeChatSettings(settings));
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  // Fall back to the models we know about until the backend list arrives
+  const modelIds = models?.models || Object.keys(MODEL_OPTIONS);
+  const defaultModel = models?.default;
+
+  const updateDraft = (changes) => {
+    setDraft(prev => ({ ...prev, ...changes }));
+    setError('');
+  };
+
+  const handleSafetyChange = (category, threshold) => {
+    setDraft(prev => ({ ...prev, safety: { ...prev.safety, [category]: threshold } }));
+  };
+
+  const handleMaxTokensChange = (e) => {
+    const value = e.target.value.trim();
+    updateDraft({ maxOutputTokens: value === '' ? null : Number(value) });
+  };
+
+  const handleSave = async () => {
+    const { maxOutputTokens } = draft;
+    if (maxOutputTokens !== null && (!Number.isInteger(maxOutputTokens) || maxOutputTokens < 1 || maxOutputTokens > 65536)) {
+      setError('Max output tokens must be a whole number from 1 to 65536');
+      return;
+    }
+
+    setSaving(true);
+    try {
+      await onSave(draft);
+      onClose();
+    } catch (saveError) {
+      console.error('Failed to save chat settings:', saveError);
+      setError('Failed to save settings. Please try again.');
+      setSaving(false);
+    }
+  };
+
+  const renderSlider = (field, { min, max, step }) => (
+    <div className="chat-settings-slider">
+      <input
+        type="range"
+        min={min}
+        max={max}
+        step={step}
+        value={draft[field] ?? SLIDER_DEFAULTS[field]}
+        onChange={(e) => updateDraft({ [field]: Number(e.target.value) })}
+      />
+      <span className="chat-settings-value">{draft[field] ?? 'Default'}</span>
+      <button
+        type="button"
+        className="chat-settings-reset"
+        onClick={() => updateDraft({ [field]: null })}
+        disabled={draft[field] === null}
+      >
+        Reset
+      </button>
+    </div>
+  );
+
+  return (
+    <div className="profile-modal-overlay" onClick={onClose}>
+      <div className="profile-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="profile-modal-header">
+          <h2>Chat Settings</h2>
+          <button className="modal-close-button" onClick={onClose}>
+            <X size={20} />
+          </button>
+        </div>
+
+        <div className="profile-modal-content">
+          {error && (
+            <div className="profile-message error">⚠ {error}</div>
+          )}
+
+          <div className="profile-form-section">
+            <div className="profile-field">
+              <label className="profile-field-label" htmlFor="chat-settings-model">
+                <Cpu size={16} />
+                Model
+              </label>
+              <select
+                id="chat-settings-model"
+                className="profile-field-input"
+                value={draft.model || ''}
+                onChange={(e) => updateDraft({ model: e.target.value || null })}
+              >
+                <option value="">
+                  Default{defaultModel ? ` (${getModelLabel(defaultModel)})` : ''}
+                </option>
+                {modelIds.map(id => (
+                  <option key={id} value={id}>{getModelLabel(id)}</option>
+                ))}
+              </select>
+              {MODEL_OPTIONS[draft.model || defaultModel] && (
+                <p className="chat-settings-hint">{MODEL_OPTIONS[draft.model || defaultModel].description}</p>
+              )}
+            </div>
+
+            <div className="profile-field">
+              <label className="profile-field-label">
+                <Thermometer size={16} />
+                Temperature
+              </label>
+              {renderSlider('temperature', { min: 0, max: 2, step: 0.1 })}
+              <p className="chat-settings-hint">Lower is more focused, higher is more creative.</p>
+            </div>
+
+            <div className="profile-field">
+              <label className="profile-field-label">
+                <Sliders size={16} />
+                Top-p
+              </label>
+              {renderSlider('topP', { min: 0, max: 1, step: 0.05 })}
+            </div>
+
+            <div className="profile-field">
+              <label className="profile-field-label" htmlFor="chat-settings-max-tokens">
+                <Hash size={16} />
+                Max output tokens
+              </label>
+              <input
+                id="chat-settings-max-tokens"
+                type="number"
+                min="1"
+                max="65536"
+                className="profile-field-input"
+                value={draft.maxOutputTokens ?? ''}
+                onChange={handleMaxTokensChange}
+                placeholder="Default"
+              />
+            </div>
+          </div>
+
+          <div className="profile-settings-section">
+            <h3 className="settings-title">
+              <ShieldCheck size={18} />
+              Safety filters
+            </h3>
+            {SAFETY_CATEGORIES.map(category => (
+              <div className="setting-item" key={category.id}>
+                <p className="setting-label-text">{category.label}</p>
+                <select
+                  className="chat-settings-select"
+                  value={draft.safety[category.id] || ''}
+                  onChange={(e) => handleSafetyChange(category.id, e.target.value)}
+                >
+                  {SAFETY_THRESHOLDS.map(threshold => (
+                    <option key={threshold.id} value={threshold.id}>{threshold.label}</option>
+                  ))}
+                </select>
+              </div>
+            ))}
+          </div>
+
+          <div className="profile-actions">
+            <button
+              className="profile-button profile-button-secondary"
+              onClick={() => setDraft(normalizeChatSettings(DEFAULT_CHAT_SETTINGS))}
+              disabled={saving}
+            >
+              Restore defaults
+            </button>
+            <button
+              className="profile-button profile-button-primary"
+              onClick={handleSave}
+              disabled={saving}
+            >
+              {saving ? (
+                <>
+                  <div className="spinner-small"></div>
+                  Saving...
+                </>
+              ) : (
+                'Save'
+              )}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ChatSettingsModal;
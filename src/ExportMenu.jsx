@@ -0,0 +1,63 @@
+import React, { useState, useEffect, useRef } from 'react';
+import './ExportMenu.css';
+import { EXPORT_FORMATS, exportChats } from './chatExport';
+
+/**
+ * Button with a menu of export formats for the chats in `chatIds`. The button
+ * shows `children` and uses `className`; `selections` maps chat ids to the
+ * branch selections to export; `align` is the side the menu opens towards.
+ */
+const ExportMenu = ({ chatIds, selections, baseName, disabled, className, title, align = 'right', children }) => {
+  const [open, setOpen] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const menuRef = useRef(null);
+
+  useEffect(() => {
+    if (!open) return undefined;
+    const handleClickOutside = (e) => {
+      if (menuRef.current && !menuRef.current.contains(e.target)) setOpen(false);
+    };
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, [open]);
+
+  const handleExport = async (format) => {
+    setOpen(false);
+    // The print window has to be opened while handling the click, or it is blocked as a popup
+    const printWindow = format === 'pdf' ? window.open('', '_blank') : null;
+    setBusy(true);
+    try {
+      await exportChats(chatIds, format, { baseName, selections, printWindow });
+    } catch (error) {
+      console.error('Export failed:', error);
+      printWindow?.close();
+      alert(`Export failed: ${error.message}`);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="export-menu" ref={menuRef}>
+      <button
+        onClick={() => setOpen(!open)}
+        className={`${className} ${busy ? 'exporting' : ''}`}
+        title={busy ? 'Exporting...' : title}
+        disabled={disabled || busy || chatIds.length === 0}
+      >
+        {children}
+      </button>
+      {open && (
+        <div className={`export-menu-list ${align}`}>
+          {EXPORT_FORMATS.map(({ value, label }) => (
+            <button key={value} className="export-menu-item" onClick={() => handleExport(value)}>
+              {label}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ExportMenu;
@@ -0,0 +1,192 @@
+import React, { useState } from 'react';
+import { X, Upload, CheckSquare, Square, AlertTriangle, Check } from 'lucide-react';
+import './ProfileModal.css';
+import './ImportModal.css';
+import { parseImportFile, importChats, IMPORT_SOURCES, MAX_IMPORT_FILE_SIZE, ACCEPTED_IMPORT_TYPES } from './chatImport';
+import { formatFileSize } from './chatAttachments';
+
+const formatDay = (millis) => new Date(millis).toLocaleDateString();
+
+/**
+ * Imports conversations from a JSON file: our own export, ChatGPT or Claude
+ * exports, or a plain message list. Shows what was found (and what could not be
+ * read) before anything is written, then the result for every chat.
+ */
+const ImportModal = ({ user, onClose }) => {
+  const [fileName, setFileName] = useState('');
+  const [preview, setPreview] = useState(null); // { source, chats, errors }
+  const [selected, setSelected] = useState(new Set());
+  const [error, setError] = useState('');
+  const [progress, setProgress] = useState(null); // { done, total } while importing
+  const [results, setResults] = useState(null);
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    setError('');
+    setPreview(null);
+    setFileName(file.name);
+    if (file.size > MAX_IMPORT_FILE_SIZE) {
+      setError(`The file is too large (${formatFileSize(file.size)}). The limit is ${formatFileSize(MAX_IMPORT_FILE_SIZE)}.`);
+      return;
+    }
+    try {
+      const parsed = parseImportFile(await file.text());
+      setPreview(parsed);
+      setSelected(new Set(parsed.chats.map((_, index) => index)));
+    } catch (parseError) {
+      console.error('Failed to read import file:', parseError);
+      setError(parseError.message);
+    }
+  };
+
+  const toggleChat = (index) => {
+    setSelected(prev => {
+      const next = new Set(prev);
+      if (next.has(index)) next.delete(index);
+      else next.add(index);
+      return next;
+    });
+  };
+
+  const toggleAll = () => {
+    setSelected(selected.size === preview.chats.length ? new Set() : new Set(preview.chats.map((_, index) => index)));
+  };
+
+  const handleImport = async () => {
+    const chats = preview.chats.filter((_, index) => selected.has(index));
+    setProgress({ done: 0, total: chats.length });
+    const imported = await importChats(user, chats, preview.source, (done, total) => setProgress({ done, total }));
+    setProgress(null);
+    setResults(imported);
+  };
+
+  const failed = results?.filter(result => result.error) || [];
+
+  return (
+    <div className="profile-modal-overlay" onClick={progress ? undefined : onClose}>
+      <div className="profile-modal import-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="profile-modal-header">
+          <h2>Import Chats</h2>
+          <button className="modal-close-button" onClick={onClose} disabled={Boolean(progress)}>
+            <X size={20} />
+          </button>
+        </div>
+
+        <div className="profile-modal-content">
+          {error && (
+            <div className="profile-message error">⚠ {error}</div>
+          )}
+
+          {results ? (
+            <>
+              <div className={`profile-message ${failed.length ? 'error' : 'success'}`}>
+                {failed.length
+                  ? `⚠ Imported ${results.length - failed.length} of ${results.length} chats.`
+                  : `✓ Imported ${results.length} ${results.length === 1 ? 'chat' : 'chats'}.`}
+              </div>
+              <ul className="import-list">
+                {results.map((result, index) => (
+                  <li key={index} className={`import-item ${result.error ? 'failed' : ''}`}>
+                    {result.error ? <AlertTriangle size={16} /> : <Check size={16} />}
+                    <div className="import-item-text">
+                      <span className="import-item-title">{result.title}</span>
+                      {result.error && <span className="import-item-meta">{result.error}</span>}
+                    </div>
+                  </li>
+                ))}
+              </ul>
+              <div className="profile-actions">
+                <button className="profile-button profile-button-primary" onClick={onClose}>
+                  Done
+                </button>
+              </div>
+            </>
+          ) : (
+            <>
+              <p className="import-description">
+                Choose a JSON export from this app, from ChatGPT or Claude (<code>conversations.json</code>), or a list of <code>{'{ role, content }'}</code> messages. Nothing is saved until you confirm.
+              </p>
+              <label className="profile-button profile-button-secondary import-file-button">
+                <Upload size={18} />
+                {fileName || 'Choose File'}
+                <input
+                  type="file"
+                  accept={ACCEPTED_IMPORT_TYPES}
+                  onChange={handleFileChange}
+                  disabled={Boolean(progress)}
+                  hidden
+                />
+              </label>
+
+              {preview && (
+                <>
+                  <div className="import-summary">
+                    <span>
+                      {IMPORT_SOURCES[preview.source]} · {preview.chats.length} {preview.chats.length === 1 ? 'chat' : 'chats'}
+                    </span>
+                    {preview.chats.length > 1 && (
+                      <button className="import-select-all" onClick={toggleAll} disabled={Boolean(progress)}>
+                        {selected.size === preview.chats.length ? 'Select none' : 'Select all'}
+                      </button>
+                    )}
+                  </div>
+
+                  <ul className="import-list">
+                    {preview.chats.map((chat, index) => (
+                      <li key={index} className="import-item">
+                        <button className="import-item-toggle" onClick={() => toggleChat(index)} disabled={Boolean(progress)}>
+                          {selected.has(index) ? <CheckSquare size={16} /> : <Square size={16} />}
+                          <div className="import-item-text">
+                            <span className="import-item-title">{chat.title}</span>
+                            <span className="import-item-meta">
+                              {chat.messages.length} {chat.messages.length === 1 ? 'message' : 'messages'} · {formatDay(chat.createdAt)}
+                              {formatDay(chat.updatedAt) !== formatDay(chat.createdAt) ? ` – ${formatDay(chat.updatedAt)}` : ''}
+                            </span>
+                          </div>
+                        </button>
+                      </li>
+                    ))}
+                    {preview.errors.map((chatError, index) => (
+                      <li key={`error-${index}`} className="import-item failed">
+                        <AlertTriangle size={16} />
+                        <div className="import-item-text">
+                          <span className="import-item-title">{chatError.title}</span>
+                          <span className="import-item-meta">Skipped: {chatError.error}</span>
+                        </div>
+                      </li>
+                    ))}
+                  </ul>
+
+                  <div className="profile-actions">
+                    <button
+                      className="profile-button profile-button-primary"
+                      onClick={handleImport}
+                      disabled={selected.size === 0 || Boolean(progress)}
+                    >
+                      {progress ? (
+                        <>
+                          <div className="spinner-small"></div>
+                          Importing {progress.done}/{progress.total}...
+                        </>
+                      ) : (
+                        <>
+                          <Upload size={18} />
+                          Import {selected.size} {selected.size === 1 ? 'Chat' : 'Chats'}
+                        </>
+                      )}
+                    </button>
+                  </div>
+                </>
+              )}
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ImportModal;
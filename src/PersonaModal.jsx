@@ -0,0 +1,169 @@
+import React, { useState } from 'react';
+import { X, Plus, Pencil, Trash2, Check, Bot } from 'lucide-react';
+import './ProfileModal.css';
+import './PersonaModal.css';
+import { validatePersona, MAX_PERSONA_NAME_LENGTH, MAX_PERSONA_INSTRUCTIONS_LENGTH } from './personas';
+
+const EMPTY_PERSONA = { id: null, name: '', instructions: '' };
+
+/**
+ * Lists the user's personas for the current chat and lets them create, edit and
+ * delete personas. `activePersonaId` is the chat's persona (null for the default).
+ * onSelect(persona | null), onSave(persona) and onDelete(persona) may be async.
+ * `startWithNew` opens straight into the form for a new persona.
+ */
+const PersonaModal = ({ personas, activePersonaId, onSelect, onSave, onDelete, onClose, startWithNew = false }) => {
+  // Persona being created or edited (null while showing the list)
+  const [editing, setEditing] = useState(startWithNew ? { ...EMPTY_PERSONA } : null);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleSelect = async (persona) => {
+    await onSelect(persona);
+    onClose();
+  };
+
+  const handleEdit = (persona) => {
+    setEditing(persona ? { ...persona } : { ...EMPTY_PERSONA });
+    setError('');
+  };
+
+  const handleSave = async () => {
+    const problem = validatePersona(editing);
+    if (problem) {
+      setError(problem);
+      return;
+    }
+
+    setSaving(true);
+    try {
+      await onSave(editing);
+      setEditing(null);
+    } catch (saveError) {
+      console.error('Failed to save persona:', saveError);
+      setError('Failed to save persona. Please try again.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (persona) => {
+    if (!window.confirm(`Delete the persona "${persona.name}"? Chats that use it keep their instructions.`)) return;
+    try {
+      await onDelete(persona);
+    } catch (deleteError) {
+      console.error('Failed to delete persona:', deleteError);
+      setError('Failed to delete persona. Please try again.');
+    }
+  };
+
+  return (
+    <div className="profile-modal-overlay" onClick={onClose}>
+      <div className="profile-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="profile-modal-header">
+          <h2>{editing ? (editing.id ? 'Edit Persona' : 'New Persona') : 'Personas'}</h2>
+          <button className="modal-close-button" onClick={onClose}>
+            <X size={20} />
+          </button>
+        </div>
+
+        <div className="profile-modal-content">
+          {error && (
+            <div className="profile-message error">⚠ {error}</div>
+          )}
+
+          {editing ? (
+            <>
+              <div className="profile-form-section">
+                <div className="profile-field">
+                  <label className="profile-field-label" htmlFor="persona-name">Name</label>
+                  <input
+                    id="persona-name"
+                    type="text"
+                    className="profile-field-input"
+                    value={editing.name}
+                    maxLength={MAX_PERSONA_NAME_LENGTH}
+                    onChange={(e) => setEditing({ ...editing, name: e.target.value })}
+                    placeholder="e.g. Code reviewer"
+                    autoFocus
+                  />
+                </div>
+                <div className="profile-field">
+                  <label className="profile-field-label" htmlFor="persona-instructions">Instructions</label>
+                  <textarea
+                    id="persona-instructions"
+                    className="profile-field-input persona-instructions-input"
+                    value={editing.instructions}
+                    maxLength={MAX_PERSONA_INSTRUCTIONS_LENGTH}
+                    onChange={(e) => setEditing({ ...editing, instructions: e.target.value })}
+                    placeholder="You are a meticulous senior engineer reviewing code. Point out bugs first, then style issues..."
+                    rows={8}
+                  />
+                </div>
+              </div>
+
+              <div className="profile-actions">
+                <button
+                  className="profile-button profile-button-secondary"
+                  onClick={() => { setEditing(null); setError(''); }}
+                  disabled={saving}
+                >
+                  Cancel
+                </button>
+                <button
+                  className="profile-button profile-button-primary"
+                  onClick={handleSave}
+                  disabled={saving}
+                >
+                  {saving ? (
+                    <>
+                      <div className="spinner-small"></div>
+                      Saving...
+                    </>
+                  ) : (
+                    'Save Persona'
+                  )}
+                </button>
+              </div>
+            </>
+          ) : (
+            <>
+              <ul className="persona-list">
+                <li className={`persona-item ${!activePersonaId ? 'active' : ''}`}>
+                  <button className="persona-select" onClick={() => handleSelect(null)}>
+                    <Bot size={16} />
+                    <span className="persona-name">Default assistant</span>
+                    {!activePersonaId && <Check size={16} />}
+                  </button>
+                </li>
+                {personas.map(persona => (
+                  <li key={persona.id} className={`persona-item ${persona.id === activePersonaId ? 'active' : ''}`}>
+                    <button className="persona-select" onClick={() => handleSelect(persona)} title={persona.instructions}>
+                      <span className="persona-name">{persona.name}</span>
+                      {persona.id === activePersonaId && <Check size={16} />}
+                    </button>
+                    <button className="persona-action" onClick={() => handleEdit(persona)} title="Edit persona">
+                      <Pencil size={14} />
+                    </button>
+                    <button className="persona-action" onClick={() => handleDelete(persona)} title="Delete persona">
+                      <Trash2 size={14} />
+                    </button>
+                  </li>
+                ))}
+              </ul>
+
+              <div className="profile-actions">
+                <button className="profile-button profile-button-primary" onClick={() => handleEdit(null)}>
+                  <Plus size={18} />
+                  New Persona
+                </button>
+              </div>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PersonaModal;
@@ -5,7 +5,7 @@ import { auth, storage } from './firebase';
 import { updateProfile } from 'firebase/auth';
 import { ref, uploadBytes, getDownloadURL } from 'firebase/storage';
 
-const ProfileModal = ({ user, onClose, messageCount = 0 }) => {
+const ProfileModal = ({ user, onClose, messageCount = 0, usage = null }) => {
   const [isEditing, setIsEditing] = useState(false);
   const [formData, setFormData] = useState({
     name: user?.name || '',
@@ -237,6 +237,12 @@ const ProfileModal = ({ user, onClose, messageCount = 0 }) => {
               <p className="stat-value">{Math.floor(messageCount * 1.5)}</p>
               <p className="stat-label">AI Responses</p>
             </div>
+            {usage?.messages.limit && (
+              <div className="stat-card">
+                <p className="stat-value">{usage.messages.remaining}/{usage.messages.limit}</p>
+                <p className="stat-label">Left Today</p>
+              </div>
+            )}
           </div>
 
           {/* Settings Section */}
@@ -0,0 +1,135 @@
+import React, { useState } from 'react';
+import { X, Link, Copy, Check, RefreshCw } from 'lucide-react';
+import './ProfileModal.css';
+import './ShareModal.css';
+import { getShareUrl } from './sharing';
+
+/**
+ * Creates, refreshes and revokes the public link of a chat. `share` is the chat's
+ * { token, updatedAt } (null while it is not shared). onPublish() creates the
+ * snapshot or updates it to the current conversation; onRevoke() deletes it.
+ */
+const ShareModal = ({ share, onPublish, onRevoke, onClose }) => {
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+  const [copied, setCopied] = useState(false);
+
+  const shareUrl = share ? getShareUrl(share.token) : '';
+  const updatedAt = share?.updatedAt?.toDate ? share.updatedAt.toDate() : null;
+
+  const run = async (action, failureMessage) => {
+    setBusy(true);
+    setError('');
+    try {
+      await action();
+    } catch (actionError) {
+      console.error(failureMessage, actionError);
+      setError(`${failureMessage} ${actionError.message}`);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(shareUrl);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (copyError) {
+      console.error('Failed to copy share link:', copyError);
+      setError('Failed to copy the link. Select it and copy it manually.');
+    }
+  };
+
+  const handleRevoke = () => {
+    if (!window.confirm('Stop sharing this chat? The link will stop working for everyone.')) return;
+    run(onRevoke, 'Failed to stop sharing.');
+  };
+
+  return (
+    <div className="profile-modal-overlay" onClick={onClose}>
+      <div className="profile-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="profile-modal-header">
+          <h2>Share Chat</h2>
+          <button className="modal-close-button" onClick={onClose}>
+            <X size={20} />
+          </button>
+        </div>
+
+        <div className="profile-modal-content">
+          {error && (
+            <div className="profile-message error">⚠ {error}</div>
+          )}
+
+          {share ? (
+            <>
+              <p className="share-description">
+                Anyone with this link can read the conversation as it was when you shared it. New messages are not included until you update the link. Only the text is shared; attached files and generated images stay private.
+              </p>
+              <div className="share-link-row">
+                <input
+                  className="profile-field-input"
+                  value={shareUrl}
+                  readOnly
+                  onFocus={(e) => e.target.select()}
+                />
+                <button className="profile-button profile-button-primary" onClick={handleCopy}>
+                  {copied ? <Check size={18} /> : <Copy size={18} />}
+                  {copied ? 'Copied' : 'Copy'}
+                </button>
+              </div>
+              {updatedAt && (
+                <p className="share-updated">Last updated {updatedAt.toLocaleString()}</p>
+              )}
+
+              <div className="profile-actions">
+                <button
+                  className="profile-button profile-button-secondary"
+                  onClick={handleRevoke}
+                  disabled={busy}
+                >
+                  Stop Sharing
+                </button>
+                <button
+                  className="profile-button profile-button-primary"
+                  onClick={() => run(onPublish, 'Failed to update the link.')}
+                  disabled={busy}
+                >
+                  <RefreshCw size={18} />
+                  Update Link
+                </button>
+              </div>
+            </>
+          ) : (
+            <>
+              <p className="share-description">
+                Create a public, read-only link to this conversation. People who open it can read it without signing in, and signed-in users can continue it as their own copy. Attached files and generated images are not included. You can stop sharing at any time.
+              </p>
+              <div className="profile-actions">
+                <button
+                  className="profile-button profile-button-primary"
+                  onClick={() => run(onPublish, 'Failed to create the link.')}
+                  disabled={busy}
+                >
+                  {busy ? (
+                    <>
+                      <div className="spinner-small"></div>
+                      Creating...
+                    </>
+                  ) : (
+                    <>
+                      <Link size={18} />
+                      Create Public Link
+                    </>
+                  )}
+                </button>
+              </div>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ShareModal;
@@ -0,0 +1,135 @@
+import React, { useState, useEffect } from 'react';
+import { Bot, User, FileText, GitBranch, LogIn, ArrowLeft } from 'lucide-react';
+import './Chat.css';
+import './SharedChatView.css';
+import { renderMarkdown } from './markdown';
+import { loadSharedChat, forkSharedChat } from './sharing';
+
+/**
+ * Read-only page for a shared chat (/share/:token). Works without signing in;
+ * signed-in viewers can continue the conversation as their own copy, which
+ * onOpenChat(chatId) then opens. onSignIn() asks the app to show the sign-in page.
+ */
+const SharedChatView = ({ token, user, onSignIn, onOpenChat }) => {
+  const [shared, setShared] = useState(null);
+  const [status, setStatus] = useState('loading'); // 'loading' | 'ready' | 'missing' | 'error'
+  const [isForking, setIsForking] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    setStatus('loading');
+    loadSharedChat(token)
+      .then((snapshot) => {
+        if (cancelled) return;
+        setShared(snapshot);
+        setStatus(snapshot ? 'ready' : 'missing');
+      })
+      .catch((error) => {
+        console.error('Failed to load shared chat:', error);
+        if (!cancelled) setStatus('error');
+      });
+    return () => { cancelled = true; };
+  }, [token]);
+
+  const handleContinue = async () => {
+    setIsForking(true);
+    try {
+      const chatId = await forkSharedChat(user, shared);
+      onOpenChat(chatId);
+    } catch (error) {
+      console.error('Failed to copy shared chat:', error);
+      alert(`Failed to continue this chat: ${error.message}`);
+      setIsForking(false);
+    }
+  };
+
+  const updatedAt = shared?.updatedAt?.toDate ? shared.updatedAt.toDate() : null;
+
+  return (
+    <div className="chat-wrapper shared-chat">
+      <div className="chat-container">
+        <header className="chat-header">
+          <div className="chat-header-left">
+            <div className="bot-icon">
+              <Bot size={24} />
+            </div>
+            <div className="chat-header-center">
+              <h1>{shared?.title || 'Shared chat'}</h1>
+              <p>
+                Read-only shared conversation
+                {shared?.personaName ? ` · Persona: ${shared.personaName}` : ''}
+                {updatedAt ? ` · ${updatedAt.toLocaleDateString()}` : ''}
+              </p>
+            </div>
+          </div>
+          {user && (
+            <button className="logout-button" onClick={() => onOpenChat(null)}>
+              <ArrowLeft size={16} style={{ marginRight: '0.25rem' }} />
+              My chats
+            </button>
+          )}
+        </header>
+
+        <div className="messages-area">
+          {status === 'loading' && (
+            <p className="shared-chat-status">Loading shared chat...</p>
+          )}
+          {status === 'missing' && (
+            <p className="shared-chat-status">This link is no longer shared, or it never existed.</p>
+          )}
+          {status === 'error' && (
+            <p className="shared-chat-status">Failed to load this chat. Please try again later.</p>
+          )}
+
+          {status === 'ready' && shared.messages.map((message, index) => {
+            const isUser = message.sender === 'user';
+            return (
+              <div key={index} className={`message-wrapper ${isUser ? 'user' : 'ai'}`}>
+                <div className={`message-bubble ${isUser ? 'user' : 'ai'}`}>
+                  <div className="message-icon">
+                    {isUser ? <User size={16} /> : <Bot size={16} />}
+                  </div>
+                  <div className="message-main">
+                    <div
+                      className="message-content markdown-body"
+                      dangerouslySetInnerHTML={{ __html: renderMarkdown(message.text) }}
+                    />
+                  </div>
+                </div>
+
+                {message.omittedFiles > 0 && (
+                  <div className="message-attachments">
+                    <span className="attachment-chip shared-chat-omitted">
+                      <FileText size={16} />
+                      <span className="attachment-name">
+                        {message.omittedFiles === 1 ? '1 file' : `${message.omittedFiles} files`} not shared
+                      </span>
+                    </span>
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+
+        {status === 'ready' && (
+          <div className="shared-chat-footer">
+            {user ? (
+              <button className="shared-chat-continue" onClick={handleContinue} disabled={isForking}>
+                <GitBranch size={18} />
+                {isForking ? 'Copying chat...' : 'Continue this chat'}
+              </button>
+            ) : (
+              <button className="shared-chat-continue" onClick={onSignIn}>
+                <LogIn size={18} />
+                Sign in to continue this chat
+              </button>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SharedChatView;
@@ -0,0 +1,298 @@
+// Chat attachments: type detection, size limits, image resizing and Firebase Storage upload/download
+import { storage } from './firebase';
+import { ref, uploadBytes, getDownloadURL, getBlob, deleteObject } from 'firebase/storage';
+
+// Longest side of an uploaded image after resizing
+const MAX_IMAGE_DIMENSION = 1600;
+// Quality used when re-encoding to JPEG
+const JPEG_QUALITY = 0.85;
+
+// Limits enforced in the composer (sizes are after image compression). Files travel as
+// base64 (4/3 larger), so 10 MB of files is about 13.4 MB inline; with the 4 MB of earlier
+// attachments AIChat may resend, a request stays under Gemini's 20 MB inline limit
+// and the server's 25 MB body limit.
+export const MAX_ATTACHMENTS = 5;
+export const MAX_FILE_SIZE = 10 * 1024 * 1024;
+export const MAX_TOTAL_SIZE = 10 * 1024 * 1024;
+
+// File types Gemini accepts as inline parts
+const IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/webp', 'image/gif', 'image/heic', 'image/heif'];
+const DOCUMENT_TYPES = ['application/pdf', 'text/plain', 'text/csv', 'text/markdown'];
+
+// Value for the file input's accept attribute
+export const ACCEPTED_FILE_TYPES = 'image/*,application/pdf,text/plain,text/csv,text/markdown,.pdf,.txt,.csv,.md';
+
+// Fallback by extension, for browsers that leave File.type empty or report CSV as Excel
+const EXTENSION_TYPES = {
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  webp: 'image/webp',
+  gif: 'image/gif',
+  heic: 'image/heic',
+  heif: 'image/heif',
+  pdf: 'application/pdf',
+  txt: 'text/plain',
+  log: 'text/plain',
+  csv: 'text/csv',
+  md: 'text/markdown',
+  markdown: 'text/markdown',
+};
+
+// Downloaded attachments as Gemini inline parts, keyed by storage path. Least recently
+// used parts are dropped once the cached base64 goes over INLINE_CACHE_MAX_CHARS.
+const INLINE_CACHE_MAX_CHARS = 20 * 1024 * 1024;
+const inlinePartCache = new Map();
+let inlineCacheChars = 0;
+
+const getCachedInlinePart = (path) => {
+  const part = inlinePartCache.get(path);
+  if (part) {
+    // Move to the most recently used end
+    inlinePartCache.delete(path);
+    inlinePartCache.set(path, part);
+  }
+  return part;
+};
+
+const cacheInlinePart = (path, part) => {
+  const size = part.inline_data.data.length;
+  if (size > INLINE_CACHE_MAX_CHARS) return;
+  inlinePartCache.set(path, part);
+  inlineCacheChars += size;
+  for (const [oldestPath, oldestPart] of inlinePartCache) {
+    if (inlineCacheChars <= INLINE_CACHE_MAX_CHARS) break;
+    inlinePartCache.delete(oldestPath);
+    inlineCacheChars -= oldestPart.inline_data.data.length;
+  }
+};
+
+// Forget every downloaded attachment (e.g. when another chat is opened)
+export const clearInlinePartCache = () => {
+  inlinePartCache.clear();
+  inlineCacheChars = 0;
+};
+
+export const blobToDataUrl = (blob) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onloadend = () => resolve(reader.result);
+  reader.onerror = () => reject(reader.error);
+  reader.readAsDataURL(blob);
+});
+
+// Decode a base64 data URL without fetch() (the CSP does not allow data: connections)
+export const dataUrlToBlob = (dataUrl) => {
+  const [header, base64] = dataUrl.split(',');
+  const mimeType = header.match(/^data:([^;]+)/)?.[1] || 'application/octet-stream';
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return new Blob([bytes], { type: mimeType });
+};
+
+export const formatFileSize = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+/**
+ * Works out a file's real MIME type from its first bytes (images and PDF),
+ * then its extension, then what the browser reported.
+ * Returns null for types we cannot send to Gemini.
+ */
+export const detectMimeType = async (file) => {
+  const bytes = new Uint8Array(await file.slice(0, 12).arrayBuffer());
+  const startsWith = (...values) => values.every((value, i) => bytes[i] === value);
+  const ascii = (start, end) => String.fromCharCode(...bytes.slice(start, end));
+
+  if (startsWith(0x89, 0x50, 0x4e, 0x47)) return 'image/png';
+  if (startsWith(0xff, 0xd8, 0xff)) return 'image/jpeg';
+  if (ascii(0, 4) === 'GIF8') return 'image/gif';
+  if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WEBP') return 'image/webp';
+  if (ascii(0, 4) === '%PDF') return 'application/pdf';
+
+  const extension = file.name.split('.').pop()?.toLowerCase();
+  const type = EXTENSION_TYPES[extension] || file.type;
+  return IMAGE_TYPES.includes(type) || DOCUMENT_TYPES.includes(type) ? type : null;
+};
+
+const canvasToBlob = (canvas, mimeType, quality) => new Promise((resolve, reject) => {
+  canvas.toBlob(
+    (blob) => (blob ? resolve(blob) : reject(new Error('Could not compress image'))),
+    mimeType,
+    quality
+  );
+});
+
+/**
+ * Scales an image down to MAX_IMAGE_DIMENSION and re-encodes it
+ * (PNG stays PNG to keep transparency, everything else becomes JPEG).
+ */
+const prepareImage = async (file, detectedType) => {
+  const bitmap = await createImageBitmap(file);
+  const scale = Math.min(1, MAX_IMAGE_DIMENSION / Math.max(bitmap.width, bitmap.height));
+  const width = Math.round(bitmap.width * scale);
+  const height = Math.round(bitmap.height * scale);
+
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d');
+  const mimeType = detectedType === 'image/png' ? 'image/png' : 'image/jpeg';
+  if (mimeType === 'image/jpeg') {
+    // JPEG has no alpha channel, so flatten transparent images onto white
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, width, height);
+  }
+  ctx.drawImage(bitmap, 0, 0, width, height);
+  bitmap.close?.();
+
+  let blob = await canvasToBlob(canvas, mimeType, JPEG_QUALITY);
+  let type = mimeType;
+  // Keep the original when it was already small and re-encoding only made it bigger
+  if (scale === 1 && file.size <= blob.size && ['image/jpeg', 'image/png', 'image/webp'].includes(detectedType)) {
+    blob = file;
+    type = detectedType;
+  }
+
+  return { blob, mimeType: type, width, height };
+};
+
+/**
+ * Turns a picked file into a composer attachment:
+ * { id, kind, name, mimeType, size, width, height, blob, dataUrl, previewUrl, stored }.
+ * Images are resized and compressed first. Throws with a user-facing message
+ * when the type is not supported or the file is too large.
+ */
+export const prepareAttachment = async (file) => {
+  const detectedType = await detectMimeType(file);
+  if (!detectedType) {
+    throw new Error(`"${file.name}" is not a supported file type. Use images, PDF, text or CSV files.`);
+  }
+
+  const isImage = detectedType.startsWith('image/');
+  let prepared = { blob: file, mimeType: detectedType, width: null, height: null };
+  if (isImage) {
+    try {
+      prepared = await prepareImage(file, detectedType);
+    } catch (error) {
+      // Formats the browser cannot decode (e.g. HEIC outside Safari) are sent as they are
+      console.warn('Could not resize image, sending original:', error);
+    }
+  }
+
+  if (prepared.blob.size > MAX_FILE_SIZE) {
+    throw new Error(`"${file.name}" is larger than ${formatFileSize(MAX_FILE_SIZE)}.`);
+  }
+
+  const dataUrl = await blobToDataUrl(prepared.blob);
+  return {
+    id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    kind: isImage ? 'image' : 'file',
+    name: file.name,
+    mimeType: prepared.mimeType,
+    size: prepared.blob.size,
+    width: prepared.width,
+    height: prepared.height,
+    blob: prepared.blob,
+    // Label the data with the detected type, whatever the browser reported
+    dataUrl: dataUrl.replace(/^data:[^;,]*/, `data:${prepared.mimeType}`),
+    previewUrl: isImage ? dataUrl : null,
+    stored: null,
+  };
+};
+
+/**
+ * Uploads a prepared attachment under chat_attachments/{uid}/{chatId}/ and returns the
+ * metadata stored on the message ({ kind, name, path, url, mimeType, size, width, height }).
+ */
+export const uploadAttachment = async (uid, chatId, attachment) => {
+  const safeName = attachment.name.replace(/[^\w.-]+/g, '_').slice(-80);
+  const path = `chat_attachments/${uid}/${chatId}/${Date.now()}-${Math.random().toString(36).slice(2, 8)}-${safeName}`;
+  const storageRef = ref(storage, path);
+
+  await uploadBytes(storageRef, attachment.blob, { contentType: attachment.mimeType });
+  const url = await getDownloadURL(storageRef);
+
+  return {
+    kind: attachment.kind,
+    name: attachment.name,
+    path,
+    url,
+    mimeType: attachment.mimeType,
+    size: attachment.size,
+    width: attachment.width || null,
+    height: attachment.height || null,
+  };
+};
+
+/**
+ * Attachments stored on a message, in one shape. Messages from before multiple
+ * attachments have a single `image` (Storage) or `imageData` (base64) instead.
+ */
+export const getMessageAttachments = (msg) => {
+  if (msg.attachments?.length) return msg.attachments;
+  if (msg.image) return [{ kind: 'image', name: 'image', ...msg.image }];
+  if (msg.imageData) {
+    return [{
+      kind: 'image',
+      name: 'image',
+      mimeType: msg.imageData.match(/^data:([^;,]+)/)?.[1] || 'image/jpeg',
+      size: Math.floor(msg.imageData.length * 3 / 4),
+      dataUrl: msg.imageData,
+    }];
+  }
+  return [];
+};
+
+/**
+ * Downloads a stored attachment and returns it as a Gemini inline_data part,
+ * or null when it can no longer be read.
+ */
+export const loadAttachmentAsInlinePart = async (attachment) => {
+  if (!attachment?.path) return null;
+  const cached = getCachedInlinePart(attachment.path);
+  if (cached) return cached;
+
+  try {
+    const blob = await getBlob(ref(storage, attachment.path));
+    const dataUrl = await blobToDataUrl(blob);
+    const part = {
+      inline_data: {
+        mime_type: attachment.mimeType || blob.type || 'application/octet-stream',
+        data: dataUrl.split(',')[1],
+      },
+    };
+    cacheInlinePart(attachment.path, part);
+    return part;
+  } catch (error) {
+    console.error('Failed to load stored attachment:', attachment.path, error);
+    return null;
+  }
+};
+
+// Storage paths of everything uploaded with a message document, including generated images in every variant
+export const getStoredPaths = (messageData) => {
+  const paths = (messageData.attachments || []).map(attachment => attachment.path);
+  if (messageData.image?.path) paths.push(messageData.image.path);
+  [messageData, ...(messageData.variants || [])].forEach((variant) => {
+    (variant.images || []).forEach(image => paths.push(image.path));
+  });
+  return [...new Set(paths.filter(Boolean))];
+};
+
+// Remove stored files (e.g. when their chat is deleted); missing files are ignored
+export const deleteStoredFiles = async (paths) => {
+  await Promise.all(paths.map(async (path) => {
+    try {
+      await deleteObject(ref(storage, path));
+    } catch (error) {
+      if (error.code !== 'storage/object-not-found') {
+        console.error('Failed to delete stored file:', path, error);
+      }
+    }
+  }));
+};
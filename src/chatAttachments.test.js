@@ -0,0 +1,43 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+vi.mock('./firebase', () => ({ storage: {} }));
+vi.mock('firebase/storage', () => ({
+  ref: (storage, path) => path,
+  getBlob: vi.fn(async (path) => new Blob(['x'.repeat(path.startsWith('big') ? 8 * 1024 * 1024 : 10)], { type: 'text/plain' })),
+  uploadBytes: vi.fn(),
+  getDownloadURL: vi.fn(),
+  deleteObject: vi.fn(),
+}));
+
+const { loadAttachmentAsInlinePart, clearInlinePartCache } = await import('./chatAttachments');
+const { getBlob } = await import('firebase/storage');
+
+describe('loadAttachmentAsInlinePart', () => {
+  beforeEach(() => {
+    clearInlinePartCache();
+    getBlob.mockClear();
+  });
+
+  it('downloads an attachment once and then serves it from the cache', async () => {
+    const first = await loadAttachmentAsInlinePart({ path: 'a.txt', mimeType: 'text/plain' });
+    const second = await loadAttachmentAsInlinePart({ path: 'a.txt', mimeType: 'text/plain' });
+    expect(second).toBe(first);
+    expect(getBlob).toHaveBeenCalledTimes(1);
+  });
+
+  it('drops the least recently used attachments once the cache is full', async () => {
+    // Each big file is about 10.7M base64 characters, so only one fits in the cache
+    await loadAttachmentAsInlinePart({ path: 'big-1' });
+    await loadAttachmentAsInlinePart({ path: 'big-2' });
+    await loadAttachmentAsInlinePart({ path: 'big-2' });
+    await loadAttachmentAsInlinePart({ path: 'big-1' });
+    expect(getBlob.mock.calls.map(([path]) => path)).toEqual(['big-1', 'big-2', 'big-1']);
+  });
+
+  it('forgets everything when cleared', async () => {
+    await loadAttachmentAsInlinePart({ path: 'a.txt' });
+    clearInlinePartCache();
+    await loadAttachmentAsInlinePart({ path: 'a.txt' });
+    expect(getBlob).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,37 @@
+// Removes the user's chats that never got a message. Chats are only saved with their
+// first message now, but older versions created one on every visit, and a failed
+// first send can still leave one behind.
+import { db } from './firebase';
+import { collection, query, where, getDocs, limit, deleteDoc, doc } from 'firebase/firestore';
+import { revokeShare } from './sharing';
+
+// Leave fresh chats alone: another tab may be sending their first message right now
+const MIN_EMPTY_CHAT_AGE_MS = 60 * 60 * 1000;
+
+/**
+ * Deletes the user's chats without messages that are older than an hour, except
+ * `keepChatId` (the chat on screen). Resolves with the number of chats removed.
+ */
+export const deleteEmptyChats = async (uid, { keepChatId = null } = {}) => {
+  const candidates = await getDocs(query(
+    collection(db, 'chats'),
+    where('userId', '==', uid),
+    where('lastMessage', '==', '')
+  ));
+  const cutoff = Date.now() - MIN_EMPTY_CHAT_AGE_MS;
+
+  const removed = await Promise.all(candidates.docs.map(async (chatSnap) => {
+    const chat = chatSnap.data();
+    if (chatSnap.id === keepChatId || (chat.createdAt?.toMillis?.() ?? 0) > cutoff) return false;
+
+    const messages = await getDocs(query(collection(db, 'messages'), where('chatId', '==', chatSnap.id), limit(1)));
+    if (!messages.empty) return false;
+
+    if (chat.share?.token) {
+      await revokeShare(chat.share.token);
+    }
+    await deleteDoc(doc(db, 'chats', chatSnap.id));
+    return true;
+  }));
+  return removed.filter(Boolean).length;
+};
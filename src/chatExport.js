@@ -0,0 +1,239 @@
+// Chat export: Markdown, JSON (every stored field, for backups and re-import) and a
+// print-friendly HTML page that the browser can save as PDF
+import { db } from './firebase';
+import { collection, doc, getDoc, getDocs, query, where, orderBy, Timestamp } from 'firebase/firestore';
+import { buildConversationPath } from './messageTree';
+import { getMessageAttachments, blobToDataUrl } from './chatAttachments';
+import { getGeneratedImages } from './imageProviders';
+import { renderMarkdown } from './markdown';
+import { isSafeImageSrc, isSafeLinkUrl } from './sanitize';
+
+export const EXPORT_FORMAT = 'aiii-chat-export';
+export const EXPORT_VERSION = 1;
+
+// Menu entries, in order; `value` is passed to exportChats
+export const EXPORT_FORMATS = [
+  { value: 'markdown', label: 'Markdown (linked images)' },
+  { value: 'markdown-embedded', label: 'Markdown (embedded images)' },
+  { value: 'json', label: 'JSON (full backup)' },
+  { value: 'html', label: 'HTML page' },
+  { value: 'pdf', label: 'PDF (print)' },
+];
+
+const loadMessages = async (chatId) => {
+  const snapshot = await getDocs(query(collection(db, 'messages'), where('chatId', '==', chatId), orderBy('createdAt')));
+  return snapshot.docs.map(docSnap => ({ id: docSnap.id, ...docSnap.data() }));
+};
+
+/**
+ * Loads chats with all their messages (every branch and variant) for export.
+ * Resolves with [{ id, ...chatFields, messages }].
+ */
+export const loadChatsForExport = async (chatIds) => Promise.all(chatIds.map(async (chatId) => {
+  const chatSnap = await getDoc(doc(db, 'chats', chatId));
+  if (!chatSnap.exists()) throw new Error(`Chat ${chatId} not found`);
+  return { id: chatId, ...chatSnap.data(), messages: await loadMessages(chatId) };
+}));
+
+// Firestore timestamps become { $timestamp: ISO string } in JSON so an import can restore them exactly
+const toJsonValue = (value) => {
+  if (value instanceof Timestamp) return { $timestamp: value.toDate().toISOString() };
+  if (Array.isArray(value)) return value.map(toJsonValue);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, toJsonValue(item)]));
+  }
+  return value;
+};
+
+/**
+ * The JSON export: { format, version, exportedAt, chats: [{ id, ...chatFields, messages: [{ id, ...messageFields }] }] }
+ * with every stored field, timestamps tagged as { $timestamp }.
+ */
+export const buildJsonExport = (chats) => JSON.stringify({
+  format: EXPORT_FORMAT,
+  version: EXPORT_VERSION,
+  exportedAt: new Date().toISOString(),
+  chats: chats.map(toJsonValue),
+}, null, 2);
+
+const formatDate = (timestamp) => (timestamp?.toDate ? timestamp.toDate().toLocaleString() : '');
+
+// The conversation as shown in the app: the chosen branch, otherwise the latest one
+const getVisibleMessages = (chat, selections) => buildConversationPath(chat.messages, selections?.[chat.id] || {});
+
+// Images and files of a message as { kind, name, url, generated }
+const getMessageMedia = (message) => [
+  ...getMessageAttachments(message).map(attachment => ({
+    kind: attachment.kind,
+    name: attachment.name || 'file',
+    url: attachment.url || attachment.dataUrl || null,
+    generated: false,
+  })),
+  ...getGeneratedImages(message).map(image => ({
+    kind: 'image',
+    name: image.prompt || 'Generated image',
+    url: image.url,
+    generated: true,
+  })),
+].filter(item => item.url);
+
+// Inline every image as a data URL; images that cannot be fetched (e.g. no CORS) stay linked
+const embedImages = async (chats) => {
+  const cache = new Map();
+  const embed = (url) => {
+    if (url.startsWith('data:')) return Promise.resolve(url);
+    if (!cache.has(url)) {
+      cache.set(url, fetch(url)
+        .then(response => (response.ok ? response.blob() : Promise.reject(new Error(`HTTP ${response.status}`))))
+        .then(blobToDataUrl)
+        .catch((error) => {
+          console.warn('Could not embed image, keeping the link:', url, error);
+          return url;
+        }));
+    }
+    return cache.get(url);
+  };
+
+  const embedded = new Map();
+  await Promise.all(chats.flatMap(chat => chat.messages.flatMap(message => (
+    getMessageMedia(message)
+      .filter(item => item.kind === 'image')
+      .map(async (item) => embedded.set(item.url, await embed(item.url)))
+  ))));
+  return embedded;
+};
+
+const chatMetadata = (chat) => [
+  chat.createdAt && `Created: ${formatDate(chat.createdAt)}`,
+  chat.updatedAt && `Updated: ${formatDate(chat.updatedAt)}`,
+  chat.category && `Category: ${chat.category}`,
+  chat.persona?.name && `Persona: ${chat.persona.name}`,
+  chat.settings?.model && `Model: ${chat.settings.model}`,
+].filter(Boolean);
+
+/**
+ * Markdown for the visible conversation of each chat. `imageUrls` maps image
+ * URLs to what to write instead (data URLs when embedding).
+ */
+export const buildMarkdownExport = (chats, { selections, imageUrls = new Map() } = {}) => chats.map((chat) => {
+  const lines = [`# ${chat.title || 'New Chat'}`, '', ...chatMetadata(chat).map(line => `- ${line}`), ''];
+
+  getVisibleMessages(chat, selections).forEach((message) => {
+    const time = formatDate(message.createdAt);
+    lines.push(`## ${message.sender === 'user' ? 'You' : 'AI'}${time ? ` · ${time}` : ''}`, '');
+    if (message.text) lines.push(message.text, '');
+
+    getMessageMedia(message).forEach((item) => {
+      const label = item.name.replace(/[[\]]/g, '');
+      lines.push(item.kind === 'image'
+        ? `![${label}](${imageUrls.get(item.url) || item.url})`
+        : `[${label}](${item.url})`);
+    });
+    if (getMessageMedia(message).length > 0) lines.push('');
+  });
+  return lines.join('\n');
+}).join('\n\n---\n\n');
+
+const escapeHtml = (text) => String(text).replace(/[&<>"']/g, char => ({
+  '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;',
+})[char]);
+
+const PRINT_STYLES = `
+  body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: #1f2937; max-width: 800px; margin: 2rem auto; padding: 0 1rem; line-height: 1.6; }
+  h1 { font-size: 1.5rem; margin-bottom: 0.25rem; }
+  .meta { color: #6b7280; font-size: 0.85rem; margin-bottom: 1.5rem; }
+  .message { border-left: 3px solid #e5e7eb; padding: 0.25rem 0 0.25rem 1rem; margin: 1rem 0; break-inside: avoid; }
+  .message.user { border-color: #667eea; }
+  .message.ai { border-color: #764ba2; }
+  .sender { font-weight: 600; font-size: 0.85rem; color: #4b5563; }
+  .time { font-weight: normal; color: #9ca3af; margin-left: 0.5rem; }
+  pre { background: #f3f4f6; padding: 0.75rem; border-radius: 6px; overflow-x: auto; white-space: pre-wrap; }
+  code { font-family: Menlo, Consolas, monospace; font-size: 0.85em; }
+  table { border-collapse: collapse; } th, td { border: 1px solid #d1d5db; padding: 0.25rem 0.5rem; }
+  img { max-width: 100%; max-height: 400px; border-radius: 6px; margin: 0.5rem 0; display: block; }
+  .code-copy-button, .code-block-header button { display: none; }
+  .chat { page-break-after: always; }
+  .chat:last-child { page-break-after: auto; }
+`;
+
+/**
+ * A standalone HTML page for the visible conversation of each chat, one chat per printed page.
+ */
+export const buildHtmlExport = (chats, { selections, imageUrls = new Map(), title = 'Chat export' } = {}) => {
+  const body = chats.map((chat) => {
+    const messages = getVisibleMessages(chat, selections).map((message) => {
+      const time = formatDate(message.createdAt);
+      const media = getMessageMedia(message).map((item) => {
+        const url = imageUrls.get(item.url) || item.url;
+        if (item.kind === 'image' && isSafeImageSrc(url)) {
+          return `<img src="${escapeHtml(url)}" alt="${escapeHtml(item.name)}">`;
+        }
+        return isSafeLinkUrl(item.url)
+          ? `<p><a href="${escapeHtml(item.url)}">${escapeHtml(item.name)}</a></p>`
+          : `<p>${escapeHtml(item.name)}</p>`;
+      }).join('');
+
+      return `<div class="message ${message.sender === 'user' ? 'user' : 'ai'}">` +
+        `<div class="sender">${message.sender === 'user' ? 'You' : 'AI'}${time ? `<span class="time">${escapeHtml(time)}</span>` : ''}</div>` +
+        `${renderMarkdown(message.text)}${media}</div>`;
+    }).join('\n');
+
+    return `<section class="chat"><h1>${escapeHtml(chat.title || 'New Chat')}</h1>` +
+      `<div class="meta">${chatMetadata(chat).map(escapeHtml).join(' · ')}</div>\n${messages}</section>`;
+  }).join('\n');
+
+  return `<!DOCTYPE html><html><head><meta charset="utf-8"><title>${escapeHtml(title)}</title>` +
+    `<style>${PRINT_STYLES}</style></head><body>${body}</body></html>`;
+};
+
+const downloadFile = (fileName, content, type) => {
+  const blob = new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = fileName;
+  a.click();
+  URL.revokeObjectURL(url);
+};
+
+const slugify = (text) => (text || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 40);
+
+/**
+ * Exports chats (ids) in one of EXPORT_FORMATS. `baseName` names the file
+ * (defaults to the chat title for a single chat); `selections` maps chat ids to
+ * the branch selections to export (the branch on screen). "pdf" prints the HTML
+ * page in `printWindow`, which the caller must open synchronously in the click
+ * handler so it is not blocked as a popup.
+ */
+export const exportChats = async (chatIds, format, { baseName, selections, printWindow } = {}) => {
+  const chats = await loadChatsForExport(chatIds);
+  const date = new Date().toISOString().slice(0, 10);
+  const name = `${baseName || (chats.length === 1 ? `chat-${slugify(chats[0].title) || 'untitled'}` : 'chat-history')}-${date}`;
+
+  switch (format) {
+    case 'json':
+      downloadFile(`${name}.json`, buildJsonExport(chats), 'application/json');
+      break;
+    case 'markdown':
+      downloadFile(`${name}.md`, buildMarkdownExport(chats, { selections }), 'text/markdown');
+      break;
+    case 'markdown-embedded':
+      downloadFile(`${name}.md`, buildMarkdownExport(chats, { selections, imageUrls: await embedImages(chats) }), 'text/markdown');
+      break;
+    case 'html':
+      downloadFile(`${name}.html`, buildHtmlExport(chats, { selections, imageUrls: await embedImages(chats), title: name }), 'text/html');
+      break;
+    case 'pdf': {
+      if (!printWindow) throw new Error('Allow pop-ups for this site to export as PDF');
+      // Print once the images have loaded
+      printWindow.onload = () => printWindow.print();
+      printWindow.document.open();
+      printWindow.document.write(buildHtmlExport(chats, { selections, title: name }));
+      printWindow.document.close();
+      break;
+    }
+    default:
+      throw new Error(`Unknown export format "${format}"`);
+  }
+  return chats.length;
+};
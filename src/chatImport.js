@@ -0,0 +1,365 @@
+// Chat import: reads our own JSON export (see chatExport.js) and the conversation
+// exports of other chat tools, and writes them as chats/messages with their original timestamps
+import { db } from './firebase';
+import { collection, doc, setDoc, writeBatch, Timestamp } from 'firebase/firestore';
+import { EXPORT_FORMAT } from './chatExport';
+import { DEFAULT_CHAT_SETTINGS } from './chatSettings';
+
+export const MAX_IMPORT_FILE_SIZE = 50 * 1024 * 1024;
+export const ACCEPTED_IMPORT_TYPES = '.json,application/json';
+
+const IMPORT_BATCH_SIZE = 450;
+// Firestore rejects documents over 1 MiB; leave room for the other fields
+const MAX_MESSAGE_CHARS = 900000;
+
+// Chat and message fields that are recreated on import rather than copied
+const OWN_CHAT_FIELDS = ['id', 'userId', 'messages', 'share', 'createdAt', 'updatedAt'];
+const OWN_MESSAGE_FIELDS = ['id', 'chatId', 'parentId', 'userId', 'sender', 'text', 'createdAt'];
+
+export const IMPORT_SOURCES = {
+  aiii: 'AI Chat export',
+  chatgpt: 'ChatGPT export',
+  claude: 'Claude export',
+  generic: 'Message list',
+};
+
+// Accepts ISO strings, epoch seconds or milliseconds; resolves to milliseconds or null
+const toMillis = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  if (typeof value === 'number') return value < 1e12 ? Math.round(value * 1000) : Math.round(value);
+  const millis = Date.parse(value);
+  return Number.isNaN(millis) ? null : millis;
+};
+
+// Inverse of the export's { $timestamp } tagging
+const fromJsonValue = (value) => {
+  if (Array.isArray(value)) return value.map(fromJsonValue);
+  if (value && typeof value === 'object') {
+    if (typeof value.$timestamp === 'string') return Timestamp.fromMillis(toMillis(value.$timestamp) ?? Date.now());
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, fromJsonValue(item)]));
+  }
+  return value;
+};
+
+const omit = (object, keys) => Object.fromEntries(Object.entries(object).filter(([key]) => !keys.includes(key)));
+
+// Storage paths belong to the chat that uploaded the file; the copy keeps only the URL
+// so deleting it never removes files the original still uses
+const withoutPath = ({ path, ...file }) => file;
+const stripStoragePaths = (fields) => ({
+  ...fields,
+  ...(fields.attachments ? { attachments: fields.attachments.map(withoutPath) } : {}),
+  ...(fields.image ? { image: withoutPath(fields.image) } : {}),
+  ...(fields.images ? { images: fields.images.map(withoutPath) } : {}),
+  ...(fields.variants ? { variants: fields.variants.map(stripStoragePaths) } : {}),
+});
+
+const toSender = (role) => {
+  const normalized = String(role || '').toLowerCase();
+  if (['user', 'human', 'you'].includes(normalized)) return 'user';
+  if (['ai', 'assistant', 'model', 'bot', 'gemini', 'chatgpt', 'claude'].includes(normalized)) return 'ai';
+  return null;
+};
+
+// Text from the many content shapes: a string, [{ type: 'text', text }], { parts: [...] }, ...
+const toText = (content) => {
+  if (typeof content === 'string') return content;
+  if (Array.isArray(content)) return content.map(toText).filter(Boolean).join('\n\n');
+  if (content && typeof content === 'object') {
+    if (typeof content.text === 'string') return content.text;
+    if (Array.isArray(content.parts)) return toText(content.parts);
+  }
+  return '';
+};
+
+/**
+ * Parses a chat from our own export. Messages keep every stored field (variants,
+ * images, attachments, ...) and their branch structure.
+ */
+const parseOwnChat = (chat) => {
+  if (!Array.isArray(chat.messages)) throw new Error('Missing messages');
+  const fields = fromJsonValue(omit(chat, OWN_CHAT_FIELDS));
+  // Messages saved before branching existed have no parentId and follow the one before them
+  let previousId = null;
+  const messages = chat.messages.map((message) => {
+    const parentKey = message.parentId !== undefined ? message.parentId : previousId;
+    previousId = message.id;
+    return {
+      key: message.id,
+      parentKey: parentKey || null,
+      sender: toSender(message.sender),
+      text: message.text ?? '',
+      createdAt: toMillis(message.createdAt?.$timestamp),
+      fields: stripStoragePaths(fromJsonValue(omit(message, OWN_MESSAGE_FIELDS))),
+    };
+  });
+  return {
+    title: chat.title,
+    createdAt: toMillis(chat.createdAt?.$timestamp),
+    updatedAt: toMillis(chat.updatedAt?.$timestamp),
+    fields,
+    messages,
+  };
+};
+
+/**
+ * Parses a ChatGPT conversation ({ title, create_time, mapping }). The mapping is a
+ * tree, so edited prompts and regenerated answers come in as branches; system and
+ * tool nodes are dropped by validateChat.
+ */
+const parseChatGptChat = (conversation) => {
+  const messages = Object.values(conversation.mapping || {})
+    .map(node => ({
+      key: node.id,
+      parentKey: node.parent || null,
+      sender: toSender(node.message?.author?.role),
+      text: toText(node.message?.content).trim(),
+      createdAt: toMillis(node.message?.create_time),
+      fields: {},
+    }))
+    .sort((a, b) => (a.createdAt ?? 0) - (b.createdAt ?? 0));
+  return {
+    title: conversation.title,
+    createdAt: toMillis(conversation.create_time),
+    updatedAt: toMillis(conversation.update_time),
+    fields: {},
+    messages,
+  };
+};
+
+// Parses a Claude conversation ({ name, created_at, chat_messages: [{ sender, text|content, created_at }] })
+const parseClaudeChat = (conversation) => {
+  let previousKey = null;
+  const messages = conversation.chat_messages.map((message, index) => {
+    const key = message.uuid || `m${index}`;
+    const parentKey = message.parent_message_uuid || previousKey;
+    previousKey = key;
+    return {
+      key,
+      parentKey,
+      sender: toSender(message.sender),
+      text: (message.text || toText(message.content)).trim(),
+      createdAt: toMillis(message.created_at),
+      fields: {},
+    };
+  });
+  return {
+    title: conversation.name,
+    createdAt: toMillis(conversation.created_at),
+    updatedAt: toMillis(conversation.updated_at),
+    fields: {},
+    messages,
+  };
+};
+
+// Parses a plain list of { role|sender|author, content|text, timestamp|created_at } messages
+const parseGenericChat = (conversation) => {
+  const list = Array.isArray(conversation) ? conversation : conversation.messages;
+  let previousKey = null;
+  const messages = list.map((message, index) => {
+    const key = `m${index}`;
+    const parentKey = previousKey;
+    previousKey = key;
+    return {
+      key,
+      parentKey,
+      sender: toSender(message.role || message.sender || message.author?.role || message.author),
+      text: toText(message.content ?? message.text).trim(),
+      createdAt: toMillis(message.timestamp ?? message.created_at ?? message.createdAt ?? message.time),
+      fields: {},
+    };
+  });
+  return {
+    title: conversation.title || conversation.name,
+    createdAt: toMillis(conversation.created_at ?? conversation.createdAt),
+    updatedAt: toMillis(conversation.updated_at ?? conversation.updatedAt),
+    fields: {},
+    messages,
+  };
+};
+
+const isMessageList = (value) => Array.isArray(value) && value.length > 0 && value.every(item => (
+  item && typeof item === 'object' && ('content' in item || 'text' in item) && ('role' in item || 'sender' in item || 'author' in item)
+));
+
+/**
+ * Works out which tool produced the file. Resolves with { source, conversations, parse }
+ * or throws when the format is not recognised.
+ */
+const detectFormat = (data) => {
+  if (data?.format === EXPORT_FORMAT) {
+    if (!Array.isArray(data.chats)) throw new Error('The export has no chats');
+    return { source: 'aiii', conversations: data.chats, parse: parseOwnChat };
+  }
+  const list = Array.isArray(data) ? data : [data];
+  if (list.length > 0 && list.every(item => item && typeof item === 'object' && item.mapping)) {
+    return { source: 'chatgpt', conversations: list, parse: parseChatGptChat };
+  }
+  if (list.length > 0 && list.every(item => item && Array.isArray(item.chat_messages))) {
+    return { source: 'claude', conversations: list, parse: parseClaudeChat };
+  }
+  if (isMessageList(data)) {
+    return { source: 'generic', conversations: [data], parse: parseGenericChat };
+  }
+  if (list.length > 0 && list.every(item => isMessageList(item?.messages))) {
+    return { source: 'generic', conversations: list, parse: parseGenericChat };
+  }
+  throw new Error('Unrecognised format. Use a JSON export from this app, ChatGPT or Claude, or a list of { role, content } messages.');
+};
+
+/**
+ * Checks a parsed chat and fills in what is missing: messages without a sender or
+ * any content are dropped, missing timestamps follow the message before them, and
+ * parents that are not in the chat start a new branch at the root. Throws when
+ * nothing importable is left.
+ */
+const validateChat = (chat, index) => {
+  const messages = chat.messages.filter(message => (
+    message.sender && (message.text || message.fields.images?.length || message.fields.attachments?.length || message.fields.variants?.length)
+  ));
+  if (messages.length === 0) throw new Error('No user or AI messages to import');
+
+  // Children of dropped messages move up to the nearest kept ancestor
+  const keys = new Set(messages.map(message => message.key));
+  const parents = new Map(chat.messages.map(message => [message.key, message.parentKey]));
+  const findKeptParent = (key) => {
+    const visited = new Set();
+    let parentKey = parents.get(key);
+    while (parentKey && !keys.has(parentKey) && !visited.has(parentKey)) {
+      visited.add(parentKey);
+      parentKey = parents.get(parentKey);
+    }
+    return keys.has(parentKey) ? parentKey : null;
+  };
+  const startMillis = chat.createdAt ?? messages.find(message => message.createdAt !== null)?.createdAt ?? Date.now();
+  let previousMillis = startMillis;
+  const checked = messages.map((message) => {
+    if (typeof message.text !== 'string') throw new Error('A message has no readable text');
+    if (JSON.stringify(message.fields).length + message.text.length > MAX_MESSAGE_CHARS) {
+      throw new Error('A message is too large to store');
+    }
+    // Keep timestamps distinct so messages stay in order
+    const createdAt = message.createdAt !== null && message.createdAt > previousMillis ? message.createdAt : previousMillis + 1;
+    previousMillis = createdAt;
+    return { ...message, createdAt, parentKey: findKeptParent(message.key) };
+  });
+
+  const firstUserText = checked.find(message => message.sender === 'user')?.text || '';
+  const fallbackTitle = firstUserText.length > 40 ? `${firstUserText.substring(0, 40)}...` : firstUserText;
+  return {
+    ...chat,
+    title: String(chat.title || fallbackTitle || `Imported chat ${index + 1}`).trim(),
+    createdAt: chat.createdAt ?? checked[0].createdAt,
+    updatedAt: Math.max(chat.updatedAt ?? 0, checked[checked.length - 1].createdAt),
+    messages: checked,
+  };
+};
+
+/**
+ * Parses the text of an import file. Resolves with { source, chats, errors }:
+ * `chats` are ready for importChats and `errors` lists the conversations that
+ * could not be read as { title, error }. Throws when the file itself is unusable.
+ */
+export const parseImportFile = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error('The file is not valid JSON');
+  }
+
+  const { source, conversations, parse } = detectFormat(data);
+  const chats = [];
+  const errors = [];
+  conversations.forEach((conversation, index) => {
+    try {
+      chats.push(validateChat(parse(conversation), index));
+    } catch (error) {
+      errors.push({
+        title: conversation?.title || conversation?.name || `Conversation ${index + 1}`,
+        error: error.message,
+      });
+    }
+  });
+  return { source, chats, errors };
+};
+
+// Writes one parsed chat; on failure removes whatever was written so no half chat is left
+const importChat = async (user, chat, source) => {
+  const chatRef = doc(collection(db, 'chats'));
+  const messageRefs = new Map(chat.messages.map(message => [message.key, doc(collection(db, 'messages'))]));
+  const lastMessage = chat.messages[chat.messages.length - 1];
+  // The summary points at a message by id; follow it to the new id, or drop it
+  const summaryRef = messageRefs.get(chat.fields.contextSummary?.throughMessageId);
+  const contextSummary = summaryRef ? { ...chat.fields.contextSummary, throughMessageId: summaryRef.id } : null;
+
+  await setDoc(chatRef, {
+    pinned: false,
+    category: 'personal',
+    settings: DEFAULT_CHAT_SETTINGS,
+    persona: null,
+    ...chat.fields,
+    userId: user.uid,
+    title: chat.title,
+    createdAt: Timestamp.fromMillis(chat.createdAt),
+    updatedAt: Timestamp.fromMillis(chat.updatedAt),
+    lastMessage: lastMessage.text || '[Image]',
+    lastSender: lastMessage.sender,
+    contextSummary,
+    importedFrom: source,
+  });
+
+  const written = [];
+  try {
+    for (let i = 0; i < chat.messages.length; i += IMPORT_BATCH_SIZE) {
+      const batch = writeBatch(db);
+      const slice = chat.messages.slice(i, i + IMPORT_BATCH_SIZE);
+      slice.forEach((message) => {
+        batch.set(messageRefs.get(message.key), {
+          ...message.fields,
+          sender: message.sender,
+          text: message.text,
+          createdAt: Timestamp.fromMillis(message.createdAt),
+          chatId: chatRef.id,
+          parentId: message.parentKey ? messageRefs.get(message.parentKey).id : null,
+          ...(message.sender === 'user' ? { userId: user.uid, userName: message.fields.userName || user.name || '' } : {}),
+        });
+      });
+      await batch.commit();
+      written.push(...slice.map(message => messageRefs.get(message.key)));
+    }
+  } catch (error) {
+    try {
+      for (let i = 0; i < written.length; i += IMPORT_BATCH_SIZE) {
+        const batch = writeBatch(db);
+        written.slice(i, i + IMPORT_BATCH_SIZE).forEach(ref => batch.delete(ref));
+        await batch.commit();
+      }
+      const batch = writeBatch(db);
+      batch.delete(chatRef);
+      await batch.commit();
+    } catch (cleanupError) {
+      console.error('Failed to clean up partly imported chat:', cleanupError);
+    }
+    throw error;
+  }
+  return chatRef.id;
+};
+
+/**
+ * Imports parsed chats one at a time for `user`. onProgress(done, total) is called
+ * after each one. Resolves with a result per chat: { title, chatId } or { title, error }.
+ */
+export const importChats = async (user, chats, source, onProgress) => {
+  const results = [];
+  for (const chat of chats) {
+    try {
+      results.push({ title: chat.title, chatId: await importChat(user, chat, source) });
+    } catch (error) {
+      console.error(`Failed to import chat "${chat.title}":`, error);
+      results.push({ title: chat.title, error: error.message });
+    }
+    onProgress?.(results.length, chats.length);
+  }
+  return results;
+};
@@ -0,0 +1,69 @@
+// Per-chat model and generation settings, stored as `settings` on the chat document
+
+// Known models; the backend decides which of these (or others) are actually offered
+export const MODEL_OPTIONS = {
+  'gemini-2.5-flash-lite': { label: 'Gemini 2.5 Flash-Lite', description: 'Fastest, for quick questions' },
+  'gemini-2.5-flash': { label: 'Gemini 2.5 Flash', description: 'Fast and capable, good for most chats' },
+  'gemini-2.5-pro': { label: 'Gemini 2.5 Pro', description: 'Strongest, for long analysis' },
+};
+
+export const SAFETY_CATEGORIES = [
+  { id: 'HARM_CATEGORY_HARASSMENT', label: 'Harassment' },
+  { id: 'HARM_CATEGORY_HATE_SPEECH', label: 'Hate speech' },
+  { id: 'HARM_CATEGORY_SEXUALLY_EXPLICIT', label: 'Sexually explicit' },
+  { id: 'HARM_CATEGORY_DANGEROUS_CONTENT', label: 'Dangerous content' },
+];
+
+// '' leaves the category at Gemini's default
+export const SAFETY_THRESHOLDS = [
+  { id: '', label: 'Default' },
+  { id: 'BLOCK_LOW_AND_ABOVE', label: 'Block most' },
+  { id: 'BLOCK_MEDIUM_AND_ABOVE', label: 'Block some' },
+  { id: 'BLOCK_ONLY_HIGH', label: 'Block few' },
+  { id: 'BLOCK_NONE', label: 'Block none' },
+];
+
+/**
+ * Settings for a new chat. `model: null` uses the backend's default model;
+ * null generation values are left out of the request so Gemini's defaults apply.
+ */
+export const DEFAULT_CHAT_SETTINGS = {
+  model: null,
+  temperature: null,
+  topP: null,
+  maxOutputTokens: null,
+  safety: {},
+};
+
+export const getModelLabel = (model) => MODEL_OPTIONS[model]?.label || model;
+
+// Fills in defaults for chats created before settings existed (or with partial settings)
+export const normalizeChatSettings = (settings) => ({
+  ...DEFAULT_CHAT_SETTINGS,
+  ...settings,
+  safety: { ...settings?.safety },
+});
+
+/**
+ * The request fields for a chat's settings: { model, generationConfig, safetySettings },
+ * each only when set, ready to spread into the /chat payload.
+ */
+export const toRequestSettings = (settings) => {
+  const { model, temperature, topP, maxOutputTokens, safety } = normalizeChatSettings(settings);
+  const request = {};
+
+  if (model) request.model = model;
+
+  const generationConfig = {};
+  if (temperature !== null) generationConfig.temperature = temperature;
+  if (topP !== null) generationConfig.topP = topP;
+  if (maxOutputTokens !== null) generationConfig.maxOutputTokens = maxOutputTokens;
+  if (Object.keys(generationConfig).length > 0) request.generationConfig = generationConfig;
+
+  const safetySettings = SAFETY_CATEGORIES
+    .filter(category => safety[category.id])
+    .map(category => ({ category: category.id, threshold: safety[category.id] }));
+  if (safetySettings.length > 0) request.safetySettings = safetySettings;
+
+  return request;
+};
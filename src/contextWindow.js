@@ -0,0 +1,112 @@
+// Context budget for long chats: older turns are condensed into a rolling summary
+import { getMessageAttachments } from './chatAttachments';
+
+// Raw history (plus summary) allowed per request before older turns get condensed
+export const CONTEXT_TOKEN_BUDGET = 24000;
+// After condensing, keep roughly this much recent history verbatim...
+const RECENT_TOKEN_TARGET = 8000;
+// ...but never fewer than this many of the latest messages
+const MIN_RECENT_MESSAGES = 4;
+// The backend rejects requests with more than 200 turns (MAX_TURNS in server/src/validation.js).
+// Each message is one turn; leave room for the new message and 3 tool rounds of 2 turns each.
+export const MAX_RECENT_MESSAGES = 200 - 1 - 3 * 2;
+// Flat estimate for an attached file or image
+const ATTACHMENT_TOKENS = 300;
+// Summary requests stay well under the backend's 100k character limit per text part
+const SUMMARY_BATCH_TOKENS = 15000;
+const MAX_SUMMARY_MESSAGE_CHARS = 8000;
+
+// About 4 characters per token for English text; good enough for budgeting
+export const estimateTokens = (text) => Math.ceil((text || '').length / 4);
+
+export const estimateMessageTokens = (message) => (
+  estimateTokens(message.text) + getMessageAttachments(message).length * ATTACHMENT_TOKENS
+);
+
+const sumTokens = (messages) => messages.reduce((sum, message) => sum + estimateMessageTokens(message), 0);
+
+/**
+ * Splits the history sent with a request into what a stored summary already covers,
+ * what is sent verbatim, and what should be condensed first.
+ * `summary` is the chat's contextSummary ({ text, throughMessageId, ... }); it only
+ * applies when its last message is on the current branch.
+ * Returns { summary, recentMessages, messagesToCondense }.
+ */
+export const planContext = (historyMessages, summary) => {
+  const summaryIndex = summary ? historyMessages.findIndex(m => m.id === summary.throughMessageId) : -1;
+  const activeSummary = summaryIndex >= 0 ? summary : null;
+  const unsummarized = historyMessages.slice(summaryIndex + 1);
+  const summaryTokens = estimateTokens(activeSummary?.text);
+
+  if (
+    unsummarized.length <= MAX_RECENT_MESSAGES
+    && summaryTokens + sumTokens(unsummarized) <= CONTEXT_TOKEN_BUDGET
+  ) {
+    return { summary: activeSummary, recentMessages: unsummarized, messagesToCondense: [] };
+  }
+
+  // Keep the newest messages that fit the recent target (at least MIN_RECENT_MESSAGES,
+  // at most MAX_RECENT_MESSAGES)
+  let keepFrom = unsummarized.length;
+  let recentTokens = 0;
+  while (keepFrom > 0) {
+    const tokens = estimateMessageTokens(unsummarized[keepFrom - 1]);
+    const kept = unsummarized.length - keepFrom;
+    if (kept >= MAX_RECENT_MESSAGES) break;
+    if (kept >= MIN_RECENT_MESSAGES && recentTokens + tokens > RECENT_TOKEN_TARGET) break;
+    recentTokens += tokens;
+    keepFrom--;
+  }
+
+  return {
+    summary: activeSummary,
+    recentMessages: unsummarized.slice(keepFrom),
+    messagesToCondense: unsummarized.slice(0, keepFrom),
+  };
+};
+
+// Groups messages to condense into batches small enough for one summary request each
+export const splitIntoSummaryBatches = (messages) => {
+  const batches = [];
+  let batch = [];
+  let batchTokens = 0;
+  messages.forEach((message) => {
+    // Long messages are truncated in the transcript (see buildSummaryRequest)
+    const tokens = Math.min(estimateMessageTokens(message), MAX_SUMMARY_MESSAGE_CHARS / 4);
+    if (batch.length > 0 && batchTokens + tokens > SUMMARY_BATCH_TOKENS) {
+      batches.push(batch);
+      batch = [];
+      batchTokens = 0;
+    }
+    batch.push(message);
+    batchTokens += tokens;
+  });
+  if (batch.length > 0) batches.push(batch);
+  return batches;
+};
+
+const SUMMARY_INSTRUCTION = 'You condense chat transcripts. Write a compact summary of the conversation so far for an assistant that will continue it: the user\'s goals, facts and preferences they shared, decisions made, code or data that matters, and open questions. Use short markdown bullet points, no preamble.';
+
+/**
+ * Request body asking the model to fold `messages` into `previousSummary`.
+ */
+export const buildSummaryRequest = (previousSummary, messages) => {
+  const transcript = messages.map((message) => {
+    const speaker = message.sender === 'user' ? 'User' : 'Assistant';
+    const files = getMessageAttachments(message).map(attachment => attachment.name || attachment.kind);
+    const fileNote = files.length > 0 ? ` [attached: ${files.join(', ')}]` : '';
+    const text = (message.text || '').length > MAX_SUMMARY_MESSAGE_CHARS
+      ? `${message.text.slice(0, MAX_SUMMARY_MESSAGE_CHARS)}… (truncated)`
+      : message.text || '';
+    return `${speaker}: ${text}${fileNote}`;
+  }).join('\n\n');
+
+  const prompt = previousSummary
+    ? `Summary of the earlier conversation:\n${previousSummary}\n\nWhat was said after that:\n${transcript}\n\nWrite an updated summary covering everything.`
+    : `Conversation:\n${transcript}\n\nSummarize it.`;
+
+  return {
+    contents: [{ role: 'user', parts: [{ text: prompt }] }],
+    systemInstruction: { parts: [{ text: SUMMARY_INSTRUCTION }] },
+  };
+};
@@ -0,0 +1,45 @@
+import { describe, it, expect } from 'vitest';
+import { planContext, MAX_RECENT_MESSAGES, CONTEXT_TOKEN_BUDGET } from './contextWindow';
+
+// Server-side limit on turns per request (MAX_TURNS in server/src/validation.js)
+const MAX_TURNS = 200;
+
+const shortMessages = (count) => Array.from({ length: count }, (_, index) => ({
+  id: `m${index}`,
+  sender: index % 2 === 0 ? 'user' : 'ai',
+  text: `ok ${index}`,
+}));
+
+describe('planContext', () => {
+  it('sends a short chat as it is', () => {
+    const history = shortMessages(10);
+    const plan = planContext(history, null);
+    expect(plan.recentMessages).toEqual(history);
+    expect(plan.messagesToCondense).toEqual([]);
+  });
+
+  it('condenses older turns of a long chat of short messages to stay under the turn limit', () => {
+    const history = shortMessages(250);
+    const plan = planContext(history, null);
+    expect(plan.recentMessages.length).toBe(MAX_RECENT_MESSAGES);
+    // Room for the new message and three tool rounds
+    expect(plan.recentMessages.length + 1 + 3 * 2).toBeLessThanOrEqual(MAX_TURNS);
+    expect(plan.recentMessages[plan.recentMessages.length - 1].id).toBe('m249');
+    expect(plan.messagesToCondense.map(m => m.id)).toEqual(history.slice(0, 250 - MAX_RECENT_MESSAGES).map(m => m.id));
+  });
+
+  it('only counts messages after the stored summary', () => {
+    const history = shortMessages(250);
+    const plan = planContext(history, { text: 'Earlier talk', throughMessageId: 'm99' });
+    expect(plan.summary.text).toBe('Earlier talk');
+    expect(plan.recentMessages).toEqual(history.slice(100));
+    expect(plan.messagesToCondense).toEqual([]);
+  });
+
+  it('condenses by token budget when messages are long', () => {
+    const history = shortMessages(20).map(message => ({ ...message, text: 'x'.repeat(CONTEXT_TOKEN_BUDGET / 4) }));
+    const plan = planContext(history, null);
+    expect(plan.messagesToCondense.length).toBeGreaterThan(0);
+    expect(plan.recentMessages.length).toBeGreaterThanOrEqual(4);
+  });
+});
@@ -29,6 +29,8 @@ export const db = getFirestore(app);
 
 // Initialize Firebase Storage and export
 export const storage = getStorage(app);
+// Bucket our download URLs point at (see isOwnImageSrc in sanitize.js)
+export const storageBucket = firebaseConfig.storageBucket;
 
 // Export a flag indicating whether required Firebase env vars are present
 const requiredVars = [
@@ -0,0 +1,54 @@
+// Generated images are copied into Firebase Storage, so a chat keeps them even if the provider changes or drops them
+import { storage } from './firebase';
+import { ref, uploadBytes, getDownloadURL } from 'firebase/storage';
+
+// Providers render on request, which can take a while; give up after this long
+const IMAGE_FETCH_TIMEOUT_MS = 90000;
+
+const EXTENSIONS = {
+  'image/png': 'png',
+  'image/jpeg': 'jpg',
+  'image/webp': 'webp',
+  'image/gif': 'gif',
+  'image/svg+xml': 'svg',
+};
+
+/**
+ * Fetches one generated image from its provider and stores it under
+ * generated_images/{uid}/{chatId}/. Resolves with the image record pointing at
+ * Storage ({ url, path, sourceUrl, mimeType, size } plus the prompt, seed and
+ * other generation options), or, when the provider fails, with the original
+ * record marked { failed: true, error } so the chat can offer a retry.
+ * Only a timeout stops it: by now the reply is complete, and pressing Stop
+ * must not throw away images that were already generated.
+ */
+export const storeGeneratedImage = async (uid, chatId, image) => {
+  try {
+    const response = await fetch(image.url, { signal: AbortSignal.timeout(IMAGE_FETCH_TIMEOUT_MS) });
+    if (!response.ok) throw new Error(`The image provider returned HTTP ${response.status}`);
+    const blob = await response.blob();
+    const mimeType = blob.type.split(';')[0];
+    if (!EXTENSIONS[mimeType]) throw new Error(`The image provider returned ${mimeType || 'an unknown type'} instead of an image`);
+
+    const path = `generated_images/${uid}/${chatId}/${Date.now()}-${Math.random().toString(36).slice(2, 8)}.${EXTENSIONS[mimeType]}`;
+    const storageRef = ref(storage, path);
+    await uploadBytes(storageRef, blob, { contentType: mimeType });
+    const url = await getDownloadURL(storageRef);
+
+    return { ...image, url, path, sourceUrl: image.url, mimeType, size: blob.size };
+  } catch (error) {
+    console.error('Failed to store generated image:', error);
+    return {
+      ...image,
+      url: null,
+      path: null,
+      sourceUrl: image.url,
+      failed: true,
+      error: error.name === 'TimeoutError' ? 'The image provider took too long to respond' : error.message,
+    };
+  }
+};
+
+export const storeGeneratedImages = (uid, chatId, images) => (
+  Promise.all(images.map(image => storeGeneratedImage(uid, chatId, image)))
+);
@@ -0,0 +1,107 @@
+// Image generation providers. Every provider has the same shape:
+// { name, generate(request) } resolving with one image record per requested variant.
+
+export const ASPECT_RATIOS = {
+  '1:1': { width: 1024, height: 1024 },
+  '16:9': { width: 1280, height: 720 },
+  '9:16': { width: 720, height: 1280 },
+  '4:3': { width: 1024, height: 768 },
+  '3:4': { width: 768, height: 1024 },
+};
+
+// Style presets, appended to the prompt
+export const IMAGE_STYLES = {
+  photo: 'photorealistic photograph',
+  illustration: 'digital illustration',
+  watercolor: 'watercolor painting',
+  'pixel-art': 'pixel art',
+  '3d': '3D render',
+  anime: 'anime style artwork',
+};
+
+export const MAX_IMAGE_COUNT = 4;
+
+/**
+ * Fills in defaults and drops anything invalid from a generation request:
+ * { prompt, aspectRatio = '1:1', style = null, count = 1, seed = null }.
+ */
+export const normalizeImageRequest = ({ prompt, aspectRatio, style, count, seed }) => ({
+  prompt: String(prompt || '').trim(),
+  aspectRatio: ASPECT_RATIOS[aspectRatio] ? aspectRatio : '1:1',
+  style: IMAGE_STYLES[style] ? style : null,
+  count: Math.min(Math.max(Math.round(Number(count)) || 1, 1), MAX_IMAGE_COUNT),
+  seed: Number.isInteger(seed) && seed >= 0 ? seed : null,
+});
+
+const randomSeed = () => Math.floor(Math.random() * 1_000_000_000);
+
+// A fixed seed gives reproducible variants (seed, seed + 1, ...); otherwise every variant is random
+const variantSeeds = (seed, count) => Array.from({ length: count }, (_, i) => (seed === null ? randomSeed() : seed + i));
+
+const styledPrompt = (prompt, style) => (style ? `${prompt}, ${IMAGE_STYLES[style]}` : prompt);
+
+/**
+ * A provider whose images are plain GET URLs built from the request, so nothing
+ * is fetched until the browser loads the <img>. Image records keep the request
+ * fields, which is what lets a single image be regenerated later.
+ */
+const createUrlProvider = (name, buildUrl) => ({
+  name,
+  async generate(imageRequest) {
+    const request = normalizeImageRequest(imageRequest);
+    if (!request.prompt) throw new Error('An image prompt is required');
+    const { width, height } = ASPECT_RATIOS[request.aspectRatio];
+
+    return variantSeeds(request.seed, request.count).map(seed => ({
+      url: buildUrl({ prompt: styledPrompt(request.prompt, request.style), width, height, seed }),
+      prompt: request.prompt,
+      style: request.style,
+      aspectRatio: request.aspectRatio,
+      seed,
+      width,
+      height,
+      provider: name,
+    }));
+  },
+});
+
+// Pollinations.ai: free, no API key
+export const createPollinationsProvider = ({ baseUrl = 'https://image.pollinations.ai' } = {}) => (
+  createUrlProvider('pollinations', ({ prompt, width, height, seed }) => (
+    `${baseUrl}/prompt/${encodeURIComponent(prompt)}?width=${width}&height=${height}&seed=${seed}&nologo=true`
+  ))
+);
+
+// Placeholder images for local development and tests (see server/src/imageStub.js)
+export const createStubProvider = ({ baseUrl }) => (
+  createUrlProvider('stub', ({ prompt, width, height, seed }) => (
+    `${baseUrl}?${new URLSearchParams({ prompt, width, height, seed })}`
+  ))
+);
+
+/**
+ * Picks the provider named by VITE_IMAGE_PROVIDER: "pollinations" (default) or
+ * "stub", which points at VITE_IMAGE_STUB_URL (the dev backend's /stub-images).
+ * An unknown name only logs a warning, so a typo cannot keep the app from loading.
+ */
+export const createImageProvider = (env = import.meta.env) => {
+  switch (env.VITE_IMAGE_PROVIDER || 'pollinations') {
+    case 'stub': {
+      const apiBaseUrl = (env.VITE_API_BASE_URL || 'http://localhost:3001/api').replace(/\/+$/, '');
+      return createStubProvider({ baseUrl: env.VITE_IMAGE_STUB_URL || `${apiBaseUrl}/stub-images` });
+    }
+    case 'pollinations':
+      return createPollinationsProvider({ baseUrl: env.VITE_IMAGE_PROVIDER_URL || undefined });
+    default:
+      console.warn(`Unknown VITE_IMAGE_PROVIDER "${env.VITE_IMAGE_PROVIDER}" (use "pollinations" or "stub"); using pollinations`);
+      return createPollinationsProvider();
+  }
+};
+
+export const imageProvider = createImageProvider();
+
+// Generated images on a message or variant; older messages only have a single imageUrl
+export const getGeneratedImages = (message) => {
+  if (message?.images?.length) return message.images;
+  return message?.imageUrl ? [{ url: message.imageUrl }] : [];
+};
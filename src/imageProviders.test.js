@@ -0,0 +1,17 @@
+import { describe, it, expect, vi } from 'vitest';
+import { createImageProvider } from './imageProviders';
+
+describe('createImageProvider', () => {
+  it('uses the stub provider when asked to', () => {
+    const provider = createImageProvider({ VITE_IMAGE_PROVIDER: 'stub', VITE_IMAGE_STUB_URL: 'http://localhost:3001/api/stub-images' });
+    expect(provider.name).toBe('stub');
+  });
+
+  it('falls back to pollinations with a warning for an unknown provider', () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const provider = createImageProvider({ VITE_IMAGE_PROVIDER: 'pollinatoins' });
+    expect(provider.name).toBe('pollinations');
+    expect(warn).toHaveBeenCalledWith(expect.stringContaining('Unknown VITE_IMAGE_PROVIDER "pollinatoins"'));
+    warn.mockRestore();
+  });
+});
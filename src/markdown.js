@@ -0,0 +1,54 @@
+// Markdown rendering for chat messages (marked + highlight.js)
+import { Marked, Renderer } from 'marked';
+import hljs from 'highlight.js/lib/common';
+import 'highlight.js/styles/github-dark.css';
+import { sanitizeHtml, isOwnImageSrc } from './sanitize';
+
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const marked = new Marked({
+  gfm: true,
+  breaks: true,
+  renderer: {
+    // Fenced code: highlighted body plus a header with the language and a copy button
+    code({ text, lang }) {
+      const language = (lang || '').trim().split(/\s+/)[0].toLowerCase();
+      const highlighted = language && hljs.getLanguage(language)
+        ? hljs.highlight(text, { language, ignoreIllegals: true }).value
+        : escapeHtml(text);
+
+      return `<div class="code-block">` +
+        `<div class="code-block-header">` +
+        `<span class="code-block-lang">${escapeHtml(language || 'text')}</span>` +
+        `<button type="button" class="code-copy-button" title="Copy code">Copy</button>` +
+        `</div>` +
+        `<pre><code class="hljs${language ? ` language-${escapeHtml(language)}` : ''}">${highlighted}</code></pre>` +
+        `</div>`;
+    },
+    // Raw HTML typed into a message is shown as text, never rendered
+    html({ text }) {
+      return escapeHtml(text);
+    },
+    // Images from other sites become plain links, so viewing a message never loads them
+    image(token) {
+      if (isOwnImageSrc(token.href)) return Renderer.prototype.image.call(this, token);
+      return `<a href="${escapeHtml(token.href)}">${escapeHtml(token.text || token.href)}</a>`;
+    },
+    // Wrap tables so wide ones scroll inside the bubble
+    table(token) {
+      return `<div class="table-wrapper">${Renderer.prototype.table.call(this, token)}</div>`;
+    },
+  },
+});
+
+/**
+ * Converts a markdown message into sanitized HTML ready for dangerouslySetInnerHTML.
+ */
+export const renderMarkdown = (text) => {
+  return sanitizeHtml(marked.parse(text || ''));
+};
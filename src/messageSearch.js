@@ -0,0 +1,155 @@
+// Full-text search over the user's messages. Firestore has no text search, so messages
+// are loaded per chat (and cached until the chat changes) and matched in the browser.
+import { db } from './firebase';
+import { collection, query, where, orderBy, limitToLast, getDocs } from 'firebase/firestore';
+
+// Shorter queries only filter chat titles
+export const MIN_QUERY_LENGTH = 2;
+const MAX_RESULTS = 50;
+// Characters of context on each side of the first match
+const SNIPPET_RADIUS = 60;
+// Message documents can be large (attachments, variants, images), so only the most
+// recently updated chats and their latest messages are loaded
+export const MAX_SEARCHED_CHATS = 100;
+const MESSAGES_PER_CHAT = 200;
+// Chats loaded at the same time
+const CHAT_QUERY_CONCURRENCY = 5;
+
+const toMillis = (timestamp) => {
+  if (!timestamp) return 0;
+  return timestamp.toMillis ? timestamp.toMillis() : new Date(timestamp).getTime();
+};
+
+/**
+ * Searchable entries for one message: its shown text plus every other variant
+ * (alternative answer) with different text, marked with its `variant` index.
+ */
+const toSearchEntries = (id, data) => {
+  const base = { id, chatId: data.chatId, sender: data.sender, createdAt: toMillis(data.createdAt) };
+  const text = data.text || '';
+  const entries = [{ ...base, text, variant: null }];
+  (data.variants || []).forEach((variant, index) => {
+    if (variant.text && variant.text !== text && !entries.some(entry => entry.text === variant.text)) {
+      entries.push({ ...base, text: variant.text, variant: index });
+    }
+  });
+  return entries;
+};
+
+// Only the searchable text of a chat's latest messages is kept, not the documents
+const loadChatEntries = async (chatId) => {
+  const snapshot = await getDocs(query(
+    collection(db, 'messages'),
+    where('chatId', '==', chatId),
+    orderBy('createdAt'),
+    limitToLast(MESSAGES_PER_CHAT)
+  ));
+  return snapshot.docs.flatMap(docSnap => toSearchEntries(docSnap.id, docSnap.data()));
+};
+
+/**
+ * Loads the messages of `chats` for searching: the last MESSAGES_PER_CHAT messages
+ * of the MAX_SEARCHED_CHATS most recently updated chats. `cache` is a Map owned by
+ * the caller that keeps { updatedAt, messages } per chat, so only chats updated
+ * since the last search are fetched again. Resolves with { messages, limited }:
+ * { id, chatId, sender, text, createdAt, variant } entries (createdAt in
+ * milliseconds) and whether some chats were left out.
+ */
+export const loadSearchableMessages = async (chats, cache) => {
+  const searched = [...chats]
+    .sort((a, b) => toMillis(b.updatedAt) - toMillis(a.updatedAt))
+    .slice(0, MAX_SEARCHED_CHATS);
+  const stale = searched.filter(chat => cache.get(chat.id)?.updatedAt !== toMillis(chat.updatedAt));
+
+  for (let i = 0; i < stale.length; i += CHAT_QUERY_CONCURRENCY) {
+    const batch = stale.slice(i, i + CHAT_QUERY_CONCURRENCY);
+    const loaded = await Promise.all(batch.map(chat => loadChatEntries(chat.id)));
+    batch.forEach((chat, index) => cache.set(chat.id, { updatedAt: toMillis(chat.updatedAt), messages: loaded[index] }));
+  }
+
+  // Forget chats that were deleted or dropped out of the searched set
+  const chatIds = new Set(searched.map(chat => chat.id));
+  [...cache.keys()].forEach((chatId) => {
+    if (!chatIds.has(chatId)) cache.delete(chatId);
+  });
+
+  return {
+    messages: searched.flatMap(chat => cache.get(chat.id).messages),
+    limited: chats.length > searched.length,
+  };
+};
+
+// Lowercased, de-duplicated words of a search query
+export const parseSearchTerms = (text) => [...new Set(text.toLowerCase().split(/\s+/).filter(Boolean))];
+
+/**
+ * Splits `text` into [{ text, match }] segments around every occurrence of
+ * `terms`, so the matches can be highlighted.
+ */
+export const highlightTerms = (text, terms) => {
+  const lower = text.toLowerCase();
+  const matched = new Array(text.length).fill(false);
+  terms.forEach((term) => {
+    for (let index = lower.indexOf(term); index >= 0; index = lower.indexOf(term, index + term.length)) {
+      matched.fill(true, index, index + term.length);
+    }
+  });
+
+  const segments = [];
+  for (let i = 0; i < text.length; i++) {
+    const last = segments[segments.length - 1];
+    if (last && last.match === matched[i]) {
+      last.text += text[i];
+    } else {
+      segments.push({ text: text[i], match: matched[i] });
+    }
+  }
+  return segments;
+};
+
+// A single line of text around the first match
+const buildSnippet = (text, terms) => {
+  const lower = text.toLowerCase();
+  const first = Math.min(...terms.map(term => lower.indexOf(term)).filter(index => index >= 0));
+  const start = Math.max(0, first - SNIPPET_RADIUS);
+  const end = Math.min(text.length, first + SNIPPET_RADIUS * 2);
+  const snippet = text.slice(start, end).replace(/\s+/g, ' ').trim();
+  return `${start > 0 ? '…' : ''}${snippet}${end < text.length ? '…' : ''}`;
+};
+
+// "YYYY-MM-DD" from a date input, as local midnight (or the end of that day)
+const dayToMillis = (day, endOfDay = false) => (
+  day ? new Date(`${day}T${endOfDay ? '23:59:59.999' : '00:00:00'}`).getTime() : null
+);
+
+/**
+ * Finds messages (and alternative answers) containing every word of `text`, newest first.
+ * Filters: `sender` ('all' | 'user' | 'ai'), `from` / `to` ("YYYY-MM-DD", inclusive)
+ * and `chatIds` (a Set of chats to search, or null for all).
+ * Returns { results, total }; each result has the message fields plus `snippet`
+ * segments (see highlightTerms). Only the first MAX_RESULTS results are returned.
+ */
+export const searchMessages = (messages, { text, sender = 'all', from = '', to = '', chatIds = null }) => {
+  const terms = parseSearchTerms(text);
+  if (terms.length === 0) return { results: [], total: 0 };
+  const fromMillis = dayToMillis(from);
+  const toMillisInclusive = dayToMillis(to, true);
+
+  const matches = messages.filter((message) => {
+    if (chatIds && !chatIds.has(message.chatId)) return false;
+    if (sender !== 'all' && message.sender !== sender) return false;
+    if (fromMillis !== null && message.createdAt < fromMillis) return false;
+    if (toMillisInclusive !== null && message.createdAt > toMillisInclusive) return false;
+    const lower = message.text.toLowerCase();
+    return terms.every(term => lower.includes(term));
+  });
+
+  matches.sort((a, b) => b.createdAt - a.createdAt);
+  return {
+    results: matches.slice(0, MAX_RESULTS).map(message => ({
+      ...message,
+      snippet: highlightTerms(buildSnippet(message.text, terms), terms),
+    })),
+    total: matches.length,
+  };
+};
@@ -0,0 +1,78 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+// Message documents per chat id, served by the getDocs mock below
+const stored = new Map();
+
+vi.mock('./firebase', () => ({ db: {} }));
+vi.mock('firebase/firestore', () => ({
+  collection: () => 'messages',
+  where: (field, op, value) => ({ chatId: value }),
+  orderBy: () => null,
+  limitToLast: (count) => ({ limitToLast: count }),
+  query: (collectionRef, ...constraints) => Object.assign({}, ...constraints.filter(Boolean)),
+  getDocs: vi.fn(async ({ chatId, limitToLast }) => ({
+    docs: (stored.get(chatId) || []).slice(-limitToLast).map(({ id, ...data }) => ({ id, data: () => ({ chatId, ...data }) })),
+  })),
+}));
+
+const { loadSearchableMessages, searchMessages, MAX_SEARCHED_CHATS } = await import('./messageSearch');
+const { getDocs } = await import('firebase/firestore');
+
+const timestamp = (millis) => ({ toMillis: () => millis });
+
+describe('loadSearchableMessages', () => {
+  beforeEach(() => {
+    stored.clear();
+    getDocs.mockClear();
+  });
+
+  it('includes alternative answers and finds them', async () => {
+    stored.set('c1', [
+      { id: 'm1', sender: 'user', text: 'Tell me about otters', createdAt: timestamp(1) },
+      {
+        id: 'm2',
+        sender: 'ai',
+        text: 'Otters are mammals.',
+        createdAt: timestamp(2),
+        activeVariant: 1,
+        variants: [{ text: 'Sea otters hold hands while sleeping.' }, { text: 'Otters are mammals.' }],
+      },
+    ]);
+
+    const { messages, limited } = await loadSearchableMessages([{ id: 'c1', updatedAt: timestamp(5) }], new Map());
+    expect(limited).toBe(false);
+    expect(messages.map(message => message.text)).toEqual([
+      'Tell me about otters',
+      'Otters are mammals.',
+      'Sea otters hold hands while sleeping.',
+    ]);
+
+    const { results } = searchMessages(messages, { text: 'hold hands' });
+    expect(results).toHaveLength(1);
+    expect(results[0]).toMatchObject({ id: 'm2', variant: 0 });
+  });
+
+  it('only loads the most recently updated chats and reuses the cache', async () => {
+    const chats = Array.from({ length: MAX_SEARCHED_CHATS + 5 }, (_, index) => ({ id: `c${index}`, updatedAt: timestamp(index) }));
+    const cache = new Map();
+
+    const { limited } = await loadSearchableMessages(chats, cache);
+    expect(limited).toBe(true);
+    expect(getDocs).toHaveBeenCalledTimes(MAX_SEARCHED_CHATS);
+    expect(cache.has('c0')).toBe(false);
+    expect(cache.has(`c${MAX_SEARCHED_CHATS + 4}`)).toBe(true);
+
+    getDocs.mockClear();
+    await loadSearchableMessages(chats, cache);
+    expect(getDocs).not.toHaveBeenCalled();
+  });
+
+  it('keeps only the latest messages of a long chat', async () => {
+    stored.set('long', Array.from({ length: 250 }, (_, index) => ({
+      id: `m${index}`, sender: 'user', text: `message ${index}`, createdAt: timestamp(index),
+    })));
+    const { messages } = await loadSearchableMessages([{ id: 'long', updatedAt: timestamp(1) }], new Map());
+    expect(messages).toHaveLength(200);
+    expect(messages[0].id).toBe('m50');
+  });
+});
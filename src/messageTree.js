@@ -0,0 +1,68 @@
+// Conversation branching: messages form a tree through their parentId field
+
+// Parent key used for messages that start a conversation
+export const ROOT_KEY = 'root';
+
+/**
+ * Returns the parent key for every message, keyed by message id.
+ * Messages saved before branching existed have no parentId, so they are
+ * chained to the message created just before them.
+ */
+const getParentKeys = (allMessages) => {
+  const parentKeys = {};
+  let previousId = null;
+  allMessages.forEach((msg) => {
+    const parentId = msg.parentId !== undefined ? msg.parentId : previousId;
+    parentKeys[msg.id] = parentId || ROOT_KEY;
+    previousId = msg.id;
+  });
+  return parentKeys;
+};
+
+/**
+ * Walks the message tree from the root and returns the visible conversation.
+ * At every fork the child chosen in selections (parentKey -> messageId) is
+ * followed, otherwise the most recent one. Each returned message carries its
+ * parentKey and the ids of its siblings so the UI can offer a branch switcher.
+ */
+export const buildConversationPath = (allMessages, selections = {}) => {
+  const parentKeys = getParentKeys(allMessages);
+  const children = {};
+  allMessages.forEach((msg) => {
+    const key = parentKeys[msg.id];
+    (children[key] = children[key] || []).push(msg);
+  });
+
+  const path = [];
+  const visited = new Set();
+  let key = ROOT_KEY;
+  while (children[key]?.length && !visited.has(key)) {
+    visited.add(key);
+    const siblings = children[key];
+    const selected = siblings.find(msg => msg.id === selections[key]) || siblings[siblings.length - 1];
+    path.push({
+      ...selected,
+      parentKey: key,
+      siblingIds: siblings.map(msg => msg.id),
+    });
+    key = selected.id;
+  }
+  return path;
+};
+
+/**
+ * Branch selections (as used by buildConversationPath) that put `messageId` on
+ * the visible path: every ancestor of the message becomes the chosen child at its fork.
+ */
+export const getSelectionsForMessage = (allMessages, messageId) => {
+  const parentKeys = getParentKeys(allMessages);
+  const selections = {};
+  const visited = new Set();
+  let id = messageId;
+  while (id && parentKeys[id] && !visited.has(id)) {
+    visited.add(id);
+    selections[parentKeys[id]] = id;
+    id = parentKeys[id] === ROOT_KEY ? null : parentKeys[id];
+  }
+  return selections;
+};
@@ -0,0 +1,40 @@
+// Regenerated answers: an AI message keeps every answer in `variants` and mirrors the shown one
+import { getGeneratedImages } from './imageProviders';
+
+// Answers stored on an AI message; messages that were never regenerated have just one.
+// That single answer keeps its cancelled flag so it still reads as partial once wrapped.
+export const getVariants = (message) => (
+  message.variants?.length
+    ? message.variants
+    : [{
+      text: message.text,
+      imageUrl: message.imageUrl || null,
+      images: message.images || [],
+      ...(message.isCancelled && { isCancelled: true }),
+    }]
+);
+
+export const getActiveVariantIndex = (message) => {
+  const variants = getVariants(message);
+  const index = message.activeVariant ?? variants.length - 1;
+  return Math.min(Math.max(index, 0), variants.length - 1);
+};
+
+// Message fields that mirror the currently shown variant
+export const getVariantFields = (variant) => ({
+  text: variant.text,
+  hasImage: getGeneratedImages(variant).length > 0,
+  imageUrl: variant.imageUrl || null,
+  images: variant.images || [],
+  isCancelled: Boolean(variant.isCancelled),
+  isError: false,
+});
+
+/**
+ * Message update that adds `variant` as the newest answer and shows it.
+ * An error reply is not an answer, so it is replaced instead of kept as a variant.
+ */
+export const addVariant = (message, variant) => {
+  const variants = [...(message.isError ? [] : getVariants(message)), variant];
+  return { variants, activeVariant: variants.length - 1, ...getVariantFields(variant) };
+};
@@ -0,0 +1,31 @@
+import { describe, it, expect } from 'vitest';
+import { getVariants, getActiveVariantIndex, addVariant } from './messageVariants';
+
+const answer = (text) => ({ text, imageUrl: null, images: [] });
+
+describe('getVariants', () => {
+  it('wraps a message that was never regenerated, keeping its cancelled flag', () => {
+    expect(getVariants({ text: 'Partial', isCancelled: true })).toEqual([
+      { text: 'Partial', imageUrl: null, images: [], isCancelled: true },
+    ]);
+    expect(getVariants({ text: 'Done' })[0]).not.toHaveProperty('isCancelled');
+  });
+});
+
+describe('addVariant', () => {
+  it('keeps the earlier answer and shows the new one', () => {
+    const update = addVariant({ text: 'First' }, answer('Second'));
+    expect(update.variants.map(variant => variant.text)).toEqual(['First', 'Second']);
+    expect(update.activeVariant).toBe(1);
+    expect(update).toMatchObject({ text: 'Second', isError: false, isCancelled: false });
+  });
+
+  it('replaces an error reply when regenerating after it', () => {
+    const errorReply = { text: 'Sorry, I encountered an error: Failed to fetch', isError: true };
+    const update = addVariant(errorReply, answer('A real answer'));
+    expect(update.variants).toEqual([answer('A real answer')]);
+    expect(update.activeVariant).toBe(0);
+    expect(update).toMatchObject({ text: 'A real answer', isError: false });
+    expect(getActiveVariantIndex({ ...errorReply, ...update })).toBe(0);
+  });
+});
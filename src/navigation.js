@@ -0,0 +1,57 @@
+// Client-side routes, kept in the URL through the History API:
+//   /                     the app (starts a new chat)
+//   /c/:chatId            a chat
+//   /c/:chatId#m-:msgId   a chat, scrolled to one message
+//   /c/:chatId#m-:msgId.v:n  the same, showing the message's nth regenerated answer
+//   /share/:token         a shared chat (read-only, no sign-in needed)
+
+// Fired on our own navigations; the browser only fires popstate for back/forward
+const NAVIGATE_EVENT = 'app:navigate';
+
+/**
+ * Reads a route from a location: { view: 'share', token },
+ * { view: 'chat', chatId, messageId, variant } or { view: 'home' }.
+ */
+export const parseLocation = ({ pathname, hash }) => {
+  const shareToken = pathname.match(/^\/share\/([\w-]+)\/?$/)?.[1];
+  if (shareToken) return { view: 'share', token: shareToken };
+
+  const chatId = pathname.match(/^\/c\/([\w-]+)\/?$/)?.[1];
+  if (chatId) {
+    const [, messageId = null, variant] = hash.match(/^#m-([\w-]+)(?:\.v(\d+))?$/) || [];
+    return { view: 'chat', chatId, messageId, variant: variant ? Number(variant) : null };
+  }
+  return { view: 'home' };
+};
+
+export const chatPath = (chatId, messageId = null, variant = null) => (
+  `/c/${encodeURIComponent(chatId)}` +
+  (messageId ? `#m-${encodeURIComponent(messageId)}${variant !== null ? `.v${variant}` : ''}` : '')
+);
+
+/**
+ * Goes to `path` without reloading and notifies subscribeToLocation listeners.
+ * `replace` swaps the current history entry instead of adding one (e.g. for a
+ * chat created on first load).
+ */
+export const navigate = (path, { replace = false } = {}) => {
+  // Going to the page we are on (e.g. the same search result twice) should not add an entry
+  const currentPath = `${window.location.pathname}${window.location.hash}`;
+  if (replace || path === currentPath) {
+    window.history.replaceState(null, '', path);
+  } else {
+    window.history.pushState(null, '', path);
+  }
+  window.dispatchEvent(new Event(NAVIGATE_EVENT));
+};
+
+// Calls onChange(route) after every navigation, including back/forward; returns an unsubscribe function
+export const subscribeToLocation = (onChange) => {
+  const handleChange = () => onChange(parseLocation(window.location));
+  window.addEventListener('popstate', handleChange);
+  window.addEventListener(NAVIGATE_EVENT, handleChange);
+  return () => {
+    window.removeEventListener('popstate', handleChange);
+    window.removeEventListener(NAVIGATE_EVENT, handleChange);
+  };
+};
@@ -0,0 +1,28 @@
+import { describe, it, expect } from 'vitest';
+import { parseLocation, chatPath } from './navigation';
+
+describe('chat routes', () => {
+  it('round-trips a message link', () => {
+    const path = chatPath('chat1', 'msg1');
+    expect(path).toBe('/c/chat1#m-msg1');
+    const [pathname, hash] = path.split('#');
+    expect(parseLocation({ pathname, hash: `#${hash}` })).toEqual({
+      view: 'chat', chatId: 'chat1', messageId: 'msg1', variant: null,
+    });
+  });
+
+  it('keeps the regenerated answer a search result matched', () => {
+    const path = chatPath('chat1', 'msg1', 2);
+    expect(path).toBe('/c/chat1#m-msg1.v2');
+    const [pathname, hash] = path.split('#');
+    expect(parseLocation({ pathname, hash: `#${hash}` })).toMatchObject({ messageId: 'msg1', variant: 2 });
+  });
+
+  it('reads a chat without a message and other views', () => {
+    expect(parseLocation({ pathname: '/c/chat1', hash: '' })).toEqual({
+      view: 'chat', chatId: 'chat1', messageId: null, variant: null,
+    });
+    expect(parseLocation({ pathname: '/share/token-1', hash: '' })).toEqual({ view: 'share', token: 'token-1' });
+    expect(parseLocation({ pathname: '/', hash: '' })).toEqual({ view: 'home' });
+  });
+});
@@ -0,0 +1,59 @@
+// Personas: named system instructions each user keeps in the `personas` collection
+import { db } from './firebase';
+import { collection, addDoc, updateDoc, deleteDoc, doc, query, where, onSnapshot, serverTimestamp } from 'firebase/firestore';
+
+export const MAX_PERSONA_NAME_LENGTH = 60;
+export const MAX_PERSONA_INSTRUCTIONS_LENGTH = 8000;
+
+/**
+ * Listens to the user's personas, sorted by name, and calls onChange with
+ * [{ id, name, instructions }]. Returns the unsubscribe function.
+ */
+export const subscribeToPersonas = (uid, onChange) => {
+  const q = query(collection(db, "personas"), where("userId", "==", uid));
+  return onSnapshot(q,
+    (snapshot) => {
+      const personas = snapshot.docs.map(personaDoc => ({ id: personaDoc.id, ...personaDoc.data() }));
+      personas.sort((a, b) => a.name.localeCompare(b.name));
+      onChange(personas);
+    },
+    (error) => {
+      console.error('Error loading personas:', error);
+    }
+  );
+};
+
+// Returns a message describing what is wrong with the persona, or '' if it can be saved
+export const validatePersona = ({ name, instructions }) => {
+  if (!name.trim()) return 'Give the persona a name';
+  if (name.trim().length > MAX_PERSONA_NAME_LENGTH) return `Names can be at most ${MAX_PERSONA_NAME_LENGTH} characters`;
+  if (!instructions.trim()) return 'Describe how the persona should answer';
+  if (instructions.length > MAX_PERSONA_INSTRUCTIONS_LENGTH) {
+    return `Instructions can be at most ${MAX_PERSONA_INSTRUCTIONS_LENGTH} characters`;
+  }
+  return '';
+};
+
+/**
+ * Creates the persona, or updates it when it has an id. Resolves with its id.
+ */
+export const savePersona = async (uid, { id, name, instructions }) => {
+  const fields = { name: name.trim(), instructions: instructions.trim(), updatedAt: serverTimestamp() };
+  if (id) {
+    await updateDoc(doc(db, "personas", id), fields);
+    return id;
+  }
+  const personaRef = await addDoc(collection(db, "personas"), {
+    ...fields,
+    userId: uid,
+    createdAt: serverTimestamp(),
+  });
+  return personaRef.id;
+};
+
+export const deletePersona = (id) => deleteDoc(doc(db, "personas", id));
+
+// What a chat document stores: a copy, so the chat keeps working if the persona is deleted later
+export const toChatPersona = (persona) => (persona
+  ? { id: persona.id, name: persona.name, instructions: persona.instructions }
+  : null);
@@ -0,0 +1,82 @@
+// Allowlist-based HTML sanitization for anything rendered from message text
+import DOMPurify from 'dompurify';
+import { storageBucket } from './firebase';
+
+// Only the markup our markdown renderer produces is allowed through
+const ALLOWED_TAGS = [
+  'a', 'b', 'blockquote', 'br', 'button', 'code', 'del', 'div', 'em', 'h1', 'h2', 'h3',
+  'h4', 'h5', 'h6', 'hr', 'i', 'img', 'input', 'li', 'ol', 'p', 'pre', 's', 'span', 'strong',
+  'sub', 'sup', 'table', 'tbody', 'td', 'th', 'thead', 'tr', 'ul',
+];
+
+const ALLOWED_ATTR = [
+  'align', 'alt', 'checked', 'class', 'disabled', 'href', 'rel', 'src', 'start', 'target', 'title', 'type',
+];
+
+// Links may only point to web pages or email addresses (no javascript:, data:, vbscript: ...)
+const ALLOWED_URI_REGEXP = /^(?:https?:|mailto:|#)/i;
+
+// Our own instance, so the hooks below do not change other DOMPurify users
+const purify = DOMPurify(window);
+
+// Force safe link behaviour and make the few allowed controls inert
+purify.addHook('afterSanitizeAttributes', (node) => {
+  // In-page (#fragment) links stay in the tab
+  if (node.tagName === 'A' && node.hasAttribute('href') && !node.getAttribute('href').startsWith('#')) {
+    node.setAttribute('target', '_blank');
+    node.setAttribute('rel', 'noopener noreferrer');
+  }
+  if (node.tagName === 'INPUT') {
+    // GFM task-list checkboxes are display-only
+    node.setAttribute('type', 'checkbox');
+    node.setAttribute('disabled', '');
+  }
+  if (node.tagName === 'BUTTON') {
+    // Code-block copy buttons must never submit anything
+    node.setAttribute('type', 'button');
+  }
+});
+
+// Markdown images may only load from our own Storage bucket or local data (see isOwnImageSrc)
+purify.addHook('uponSanitizeAttribute', (node, data) => {
+  if (node.tagName === 'IMG' && data.attrName === 'src' && !isOwnImageSrc(data.attrValue)) {
+    data.keepAttr = false;
+  }
+});
+
+/**
+ * Strips everything that is not on the allowlist from an HTML string.
+ * Event handlers, styles, scripts, iframes, forms and unsafe URLs are always removed.
+ */
+export const sanitizeHtml = (html) => purify.sanitize(html || '', {
+  ALLOWED_TAGS,
+  ALLOWED_ATTR,
+  ALLOWED_URI_REGEXP,
+  ALLOW_DATA_ATTR: false,
+  ALLOW_ARIA_ATTR: false,
+});
+
+/**
+ * Returns true when a message image source is safe to put in an <img src>:
+ * web URLs, Firebase Storage/blob URLs and base64 image data only.
+ */
+export const isSafeImageSrc = (src) => {
+  if (typeof src !== 'string') return false;
+  return /^(?:https?:|blob:)/i.test(src) ||
+    /^data:image\/(?:png|jpe?g|gif|webp|bmp);base64,[a-z0-9+/=\s]+$/i.test(src);
+};
+
+// Download URLs of files in our Firebase Storage bucket
+const OWN_STORAGE_PREFIX = `https://firebasestorage.googleapis.com/v0/b/${storageBucket}/o/`;
+
+/**
+ * Returns true when an image in message text may be embedded: a safe source (see isSafeImageSrc)
+ * that is not on another site, so a reply or shared chat cannot make viewers load tracking URLs.
+ */
+export const isOwnImageSrc = (src) => isSafeImageSrc(src) &&
+  (!/^https?:/i.test(src) || src.startsWith(OWN_STORAGE_PREFIX));
+
+/**
+ * Returns true when a URL is safe to use as a link href (web URLs only).
+ */
+export const isSafeLinkUrl = (url) => typeof url === 'string' && /^https?:/i.test(url);
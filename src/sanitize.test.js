@@ -0,0 +1,164 @@
+import { describe, it, expect } from 'vitest';
+import { sanitizeHtml, isSafeImageSrc, isOwnImageSrc, isSafeLinkUrl } from './sanitize';
+import { renderMarkdown } from './markdown';
+import { storageBucket } from './firebase';
+
+// A download URL from our own Storage bucket
+const OWN_IMAGE = `https://firebasestorage.googleapis.com/v0/b/${storageBucket}/o/generated_images%2Fa.png?alt=media&token=t`;
+
+// Parses sanitized output so assertions look at the resulting DOM, not at string details
+const parse = (html) => {
+  const container = document.createElement('div');
+  container.innerHTML = html;
+  return container;
+};
+
+// True when any element carries an on* handler attribute
+const hasEventHandlers = (container) => [...container.querySelectorAll('*')].some(
+  element => [...element.attributes].some(attribute => attribute.name.toLowerCase().startsWith('on')),
+);
+
+describe('sanitizeHtml', () => {
+  it('drops event handlers from images', () => {
+    const container = parse(sanitizeHtml('<img src="x" onerror="alert(1)">'));
+    expect(hasEventHandlers(container)).toBe(false);
+  });
+
+  it('removes javascript: and data: links', () => {
+    const container = parse(sanitizeHtml(
+      '<a href="javascript:alert(1)">a</a><a href="JaVaScRiPt:alert(1)">b</a>' +
+      '<a href="data:text/html,<script>alert(1)</script>">c</a>',
+    ));
+    container.querySelectorAll('a').forEach((link) => {
+      expect(link.getAttribute('href')).toBeNull();
+    });
+  });
+
+  it('removes svg with onload', () => {
+    const container = parse(sanitizeHtml('<svg onload="alert(1)"><circle r="1"></circle></svg><p>ok</p>'));
+    expect(container.querySelector('svg')).toBeNull();
+    expect(hasEventHandlers(container)).toBe(false);
+    expect(container.textContent).toBe('ok');
+  });
+
+  it('removes iframes, scripts, styles and forms', () => {
+    const container = parse(sanitizeHtml(
+      '<iframe src="https://evil.example"></iframe><script>alert(1)</script>' +
+      '<style>body{display:none}</style><form action="https://evil.example"><input name="q"></form>',
+    ));
+    expect(container.querySelector('iframe, script, style, form')).toBeNull();
+  });
+
+  it('neutralises math/style mutation XSS', () => {
+    const payloads = [
+      '<math><mtext><table><mglyph><style><img src=x onerror=alert(1)></style></mglyph></table></mtext></math>',
+      '<math><mi><mglyph><svg><mtext><textarea><path id="</textarea><img onerror=alert(1) src=1>">',
+      '<svg></p><style><a id="</style><img src=1 onerror=alert(1)>">',
+    ];
+    payloads.forEach((payload) => {
+      const container = parse(sanitizeHtml(payload));
+      // Re-parsing the output must not produce anything new either
+      const reparsed = parse(container.innerHTML);
+      expect(hasEventHandlers(container)).toBe(false);
+      expect(hasEventHandlers(reparsed)).toBe(false);
+      expect(reparsed.querySelector('math, svg, style')).toBeNull();
+    });
+  });
+
+  it('opens external links in a new tab but keeps fragment links in place', () => {
+    const container = parse(sanitizeHtml('<a href="https://example.com">out</a><a href="#notes">in</a>'));
+    const [external, fragment] = container.querySelectorAll('a');
+    expect(external.getAttribute('target')).toBe('_blank');
+    expect(external.getAttribute('rel')).toBe('noopener noreferrer');
+    expect(fragment.hasAttribute('target')).toBe(false);
+  });
+
+  it('keeps images from our own storage and strips other sources', () => {
+    const container = parse(sanitizeHtml(
+      `<img src="${OWN_IMAGE}" alt="a">` +
+      '<img src="data:image/svg+xml;base64,PHN2Zz48L3N2Zz4=" alt="b">' +
+      '<img src="https://tracker.example/pixel.png" alt="c">',
+    ));
+    const [own, svg, outside] = container.querySelectorAll('img');
+    expect(own.getAttribute('src')).toBe(OWN_IMAGE);
+    expect(own.getAttribute('alt')).toBe('a');
+    expect(svg.hasAttribute('src')).toBe(false);
+    expect(outside.hasAttribute('src')).toBe(false);
+  });
+
+  it('does not change other DOMPurify users', async () => {
+    const { default: DOMPurify } = await import('dompurify');
+    sanitizeHtml('<a href="https://example.com">x</a>');
+    expect(DOMPurify.sanitize('<a href="https://example.com">x</a>')).toBe('<a href="https://example.com">x</a>');
+  });
+});
+
+describe('renderMarkdown', () => {
+  it('shows raw HTML as text', () => {
+    const container = parse(renderMarkdown('<img src=x onerror=alert(1)> <iframe src="https://evil.example"></iframe>'));
+    expect(container.querySelector('img, iframe')).toBeNull();
+    expect(container.textContent).toContain('<img src=x onerror=alert(1)>');
+  });
+
+  it('drops javascript: and data: markdown links', () => {
+    const container = parse(renderMarkdown('[a](javascript:alert(1)) [b](data:text/html;base64,PHNjcmlwdD4=)'));
+    container.querySelectorAll('a').forEach((link) => {
+      expect(link.getAttribute('href')).toBeNull();
+    });
+  });
+
+  it('embeds images from our own storage and links to images elsewhere', () => {
+    const container = parse(renderMarkdown(
+      `![own](${OWN_IMAGE}) ![cat](https://example.com/cat.png) ![x](javascript:alert(1)) ` +
+      '![svg](data:image/svg+xml;base64,PHN2Zz48L3N2Zz4=)',
+    ));
+    const sources = [...container.querySelectorAll('img')].map(image => image.getAttribute('src'));
+    expect(sources).toEqual([OWN_IMAGE]);
+    const links = [...container.querySelectorAll('a')];
+    expect(links.find(link => link.textContent === 'cat').getAttribute('href')).toBe('https://example.com/cat.png');
+    links.filter(link => link.textContent !== 'cat').forEach((link) => {
+      expect(link.getAttribute('href')).toBeNull();
+    });
+  });
+
+  it('escapes code blocks and keeps the copy button inert', () => {
+    const container = parse(renderMarkdown('```html\n<script>alert(1)</script>\n```'));
+    expect(container.querySelector('script')).toBeNull();
+    expect(container.querySelector('code').textContent).toContain('<script>alert(1)</script>');
+    expect(container.querySelector('button').getAttribute('type')).toBe('button');
+  });
+});
+
+describe('isSafeImageSrc', () => {
+  it('accepts web, blob and base64 raster image sources', () => {
+    expect(isSafeImageSrc('https://firebasestorage.googleapis.com/v0/b/x/o/a.png')).toBe(true);
+    expect(isSafeImageSrc('blob:https://app.example/1234')).toBe(true);
+    expect(isSafeImageSrc('data:image/png;base64,iVBORw0KGgo=')).toBe(true);
+  });
+
+  it('rejects script, svg and html sources', () => {
+    expect(isSafeImageSrc('javascript:alert(1)')).toBe(false);
+    expect(isSafeImageSrc('data:image/svg+xml;base64,PHN2Zz48L3N2Zz4=')).toBe(false);
+    expect(isSafeImageSrc('data:text/html,<script>alert(1)</script>')).toBe(false);
+    expect(isSafeImageSrc('data:image/png;base64,"onerror="alert(1)')).toBe(false);
+    expect(isSafeImageSrc(null)).toBe(false);
+  });
+});
+
+describe('isOwnImageSrc', () => {
+  it('accepts our storage, blob and base64 image sources only', () => {
+    expect(isOwnImageSrc(OWN_IMAGE)).toBe(true);
+    expect(isOwnImageSrc('blob:https://app.example/1234')).toBe(true);
+    expect(isOwnImageSrc('data:image/png;base64,iVBORw0KGgo=')).toBe(true);
+    expect(isOwnImageSrc('https://firebasestorage.googleapis.com/v0/b/someone-else/o/a.png')).toBe(false);
+    expect(isOwnImageSrc('https://tracker.example/pixel.png')).toBe(false);
+  });
+});
+
+describe('isSafeLinkUrl', () => {
+  it('accepts only web URLs', () => {
+    expect(isSafeLinkUrl('https://example.com')).toBe(true);
+    expect(isSafeLinkUrl('javascript:alert(1)')).toBe(false);
+    expect(isSafeLinkUrl('data:text/html,x')).toBe(false);
+  });
+});
@@ -0,0 +1,125 @@
+// Public share links. Sharing a chat publishes a read-only snapshot of its visible
+// conversation to shares/{token}; anyone with the link can read it without signing in,
+// and deleting the snapshot revokes the link.
+import { db } from './firebase';
+import { collection, doc, getDoc, setDoc, updateDoc, deleteDoc, writeBatch, serverTimestamp, Timestamp } from 'firebase/firestore';
+import { getMessageAttachments } from './chatAttachments';
+import { getGeneratedImages } from './imageProviders';
+import { DEFAULT_CHAT_SETTINGS } from './chatSettings';
+
+// Firestore documents are limited to 1 MiB; leave room for the other fields
+const MAX_SNAPSHOT_CHARS = 900000;
+// Firestore allows 500 writes per batch
+const FORK_BATCH_SIZE = 450;
+
+export const getShareUrl = (token) => `${window.location.origin}/share/${token}`;
+
+// 24 random bytes, base64url encoded; the token is the only thing guarding a snapshot
+const createShareToken = () => {
+  const bytes = crypto.getRandomValues(new Uint8Array(24));
+  return btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+const toMillis = (timestamp) => (timestamp?.toMillis ? timestamp.toMillis() : null);
+
+// What a snapshot keeps of a message: its text only. File and image download URLs carry
+// access tokens that outlive the share, so they are left out and just counted.
+const toSharedMessage = (message) => ({
+  sender: message.sender,
+  text: message.text || '',
+  createdAt: toMillis(message.createdAt),
+  omittedFiles: getMessageAttachments(message).length + getGeneratedImages(message).length,
+});
+
+/**
+ * Publishes the conversation shown in a chat (`messages`, the visible branch) as
+ * its share snapshot, reusing the chat's token when it is already shared, and
+ * records { token, updatedAt } as the chat's `share`. Resolves with the token.
+ */
+export const publishChatSnapshot = async (chatId, messages) => {
+  const chatSnap = await getDoc(doc(db, 'chats', chatId));
+  if (!chatSnap.exists()) throw new Error('Chat not found');
+  const chat = chatSnap.data();
+
+  const sharedMessages = messages.map(toSharedMessage);
+  if (JSON.stringify(sharedMessages).length > MAX_SNAPSHOT_CHARS) {
+    throw new Error('This chat is too long to share');
+  }
+
+  const token = chat.share?.token || createShareToken();
+  await setDoc(doc(db, 'shares', token), {
+    chatId,
+    userId: chat.userId,
+    title: chat.title || 'Shared chat',
+    personaName: chat.persona?.name || null,
+    messages: sharedMessages,
+    updatedAt: serverTimestamp(),
+    ...(chat.share ? {} : { createdAt: serverTimestamp() }),
+  }, { merge: true });
+  await updateDoc(doc(db, 'chats', chatId), { share: { token, updatedAt: serverTimestamp() } });
+  return token;
+};
+
+// Revoke a chat's link; `chatId` may be null when the chat itself is being deleted
+export const revokeShare = async (token, chatId = null) => {
+  await deleteDoc(doc(db, 'shares', token));
+  if (chatId) {
+    await updateDoc(doc(db, 'chats', chatId), { share: null });
+  }
+};
+
+// Resolves with the snapshot ({ title, personaName, messages, updatedAt, ... }) or null when the link is revoked
+export const loadSharedChat = async (token) => {
+  const snapshot = await getDoc(doc(db, 'shares', token));
+  return snapshot.exists() ? { token, ...snapshot.data() } : null;
+};
+
+// The new chat a fork goes into, with the same defaults as a fresh chat
+const addForkedChat = async (user, shared, lastMessage) => {
+  const chatRef = doc(collection(db, 'chats'));
+  await setDoc(chatRef, {
+    userId: user.uid,
+    title: shared.title,
+    createdAt: serverTimestamp(),
+    updatedAt: serverTimestamp(),
+    lastMessage: lastMessage?.text || '',
+    lastSender: lastMessage?.sender || '',
+    pinned: false,
+    category: 'personal',
+    settings: DEFAULT_CHAT_SETTINGS,
+    persona: null,
+    forkedFrom: shared.token,
+  });
+  return chatRef;
+};
+
+/**
+ * Copies a shared conversation into a new chat owned by `user`, so they can
+ * continue it. Only the text is copied, since snapshots carry no files.
+ * Resolves with the chat id.
+ */
+export const forkSharedChat = async (user, shared) => {
+  const lastMessage = shared.messages[shared.messages.length - 1];
+  const chatRef = await addForkedChat(user, shared, lastMessage);
+
+  // Chain the copies through parentId; spread timestamps keep them in order
+  const startMillis = Date.now() - shared.messages.length;
+  let parentId = null;
+  for (let i = 0; i < shared.messages.length; i += FORK_BATCH_SIZE) {
+    const batch = writeBatch(db);
+    shared.messages.slice(i, i + FORK_BATCH_SIZE).forEach((message, offset) => {
+      const messageRef = doc(collection(db, 'messages'));
+      batch.set(messageRef, {
+        sender: message.sender,
+        text: message.text,
+        createdAt: Timestamp.fromMillis(startMillis + i + offset),
+        chatId: chatRef.id,
+        parentId,
+        ...(message.sender === 'user' ? { userId: user.uid, userName: user.name || '' } : {}),
+      });
+      parentId = messageRef.id;
+    });
+    await batch.commit();
+  }
+  return chatRef.id;
+};
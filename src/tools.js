@@ -0,0 +1,84 @@
+// Tools the model can call through Gemini function calling, and the dispatcher that runs them
+import { imageProvider, ASPECT_RATIOS, IMAGE_STYLES, MAX_IMAGE_COUNT } from './imageProviders';
+
+/**
+ * Tool registry. `declaration` is sent to Gemini as a function declaration;
+ * run(args) resolves with { response, display }: `response` goes back to the
+ * model as the function result, `display` is merged into the reply shown in the
+ * chat (e.g. { images }).
+ */
+const TOOLS = {
+  generate_image: {
+    declaration: {
+      name: 'generate_image',
+      description: 'Generate an image from a text description and show it to the user. Use it whenever the user asks you to generate, create, draw or paint an image.',
+      parameters: {
+        type: 'OBJECT',
+        properties: {
+          prompt: {
+            type: 'STRING',
+            description: 'A detailed description of the image: subject, composition, colors and lighting.',
+          },
+          aspect_ratio: {
+            type: 'STRING',
+            enum: Object.keys(ASPECT_RATIOS),
+            description: 'Image shape. Defaults to 1:1.',
+          },
+          style: {
+            type: 'STRING',
+            enum: Object.keys(IMAGE_STYLES),
+            description: 'Optional style preset, only when the user asks for a style.',
+          },
+          count: {
+            type: 'INTEGER',
+            description: `How many variants to generate, 1 to ${MAX_IMAGE_COUNT}. Defaults to 1.`,
+          },
+          seed: {
+            type: 'INTEGER',
+            description: 'Only when the user gives a seed, to reproduce an earlier image.',
+          },
+        },
+        required: ['prompt'],
+      },
+    },
+    run: async ({ prompt, aspect_ratio: aspectRatio, style, count, seed }) => {
+      console.log('Image generation requested:', { prompt, aspectRatio, style, count, seed });
+      const images = await imageProvider.generate({ prompt, aspectRatio, style, count, seed });
+      return {
+        response: {
+          status: 'generated',
+          count: images.length,
+          note: 'The images are now shown to the user below your reply.',
+        },
+        display: { images },
+      };
+    },
+  },
+};
+
+// The `tools` field for a Gemini request
+export const TOOL_DECLARATIONS = [{ functionDeclarations: Object.values(TOOLS).map(tool => tool.declaration) }];
+
+/**
+ * Runs one function call from the model. Never throws: unknown tools and
+ * failures are reported back to the model as { error } so it can explain.
+ * Resolves with { part, display } where `part` is the functionResponse part.
+ */
+export const runToolCall = async ({ name, args }) => {
+  const tool = TOOLS[name];
+  let result;
+  if (!tool) {
+    result = { response: { error: `Unknown tool "${name}"` }, display: {} };
+  } else {
+    try {
+      result = await tool.run(args || {});
+    } catch (error) {
+      console.error(`Tool ${name} failed:`, error);
+      result = { response: { error: error.message }, display: {} };
+    }
+  }
+  return {
+    part: { functionResponse: { name, response: result.response } },
+    display: result.display || {},
+  };
+};